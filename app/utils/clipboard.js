@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Clipboard writes with a fallback for browsers or contexts
+ * where the async Clipboard API is missing or refused. Browser only.
+ */
+
+// Copies what a temporary element selects; execCommand reports failure by returning false
+const copySelection = (element, select) => {
+  document.body.appendChild(element);
+  try {
+    select(element);
+    if (!document.execCommand("copy")) throw new Error("The browser refused to copy");
+  } finally {
+    window.getSelection()?.removeAllRanges();
+    element.remove();
+  }
+};
+
+/**
+ * Copies plain text.
+ *
+ * @function copyText
+ * @param {string} text
+ * @returns {Promise<void>}
+ * @throws {Error} If both the Clipboard API and the fallback fail
+ */
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    copySelection(textarea, (element) => element.select());
+  }
+};
+
+/**
+ * Copies formatted text: `text/html` for editors that paste formatting
+ * (Google Docs, Word, Confluence, mail) and `text/plain` for everything else.
+ *
+ * @function copyRichText
+ * @param {string} html - HTML fragment
+ * @param {string} text - Plain-text version of the same content
+ * @returns {Promise<void>}
+ * @throws {Error} If both the Clipboard API and the fallback fail
+ */
+export const copyRichText = async (html, text) => {
+  try {
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        "text/html": new Blob([html], { type: "text/html" }),
+        "text/plain": new Blob([text], { type: "text/plain" }),
+      }),
+    ]);
+  } catch {
+    // Copying a selection of rendered HTML puts both formats on the clipboard
+    const container = document.createElement("div");
+    container.innerHTML = html;
+    container.setAttribute("contenteditable", "true");
+    container.style.position = "fixed";
+    container.style.left = "-10000px";
+    copySelection(container, (element) => {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    });
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Line diff for comparing two generated documents side by side.
+ */
+
+/**
+ * @typedef {Object} DiffRow
+ * @property {string} type - "same", "changed", "removed" or "added"
+ * @property {string|null} left - Line from the older text, null if none
+ * @property {string|null} right - Line from the newer text, null if none
+ */
+
+// Longest common subsequence of lines, walked into keep/remove/add steps
+const diffSteps = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      steps.push({ type: "same", line: a[i] });
+      i += 1;
+      j += 1;
+    } else if (j >= b.length || (i < a.length && table[i + 1][j] >= table[i][j + 1])) {
+      steps.push({ type: "removed", line: a[i] });
+      i += 1;
+    } else {
+      steps.push({ type: "added", line: b[j] });
+      j += 1;
+    }
+  }
+  return steps;
+};
+
+/**
+ * Compares two texts line by line. Removed lines directly followed by added
+ * ones are paired into "changed" rows, so edits line up across the columns.
+ *
+ * @function diffLines
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffRow[]}
+ */
+export const diffLines = (before, after) => {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  // Common head and tail lines skip the quadratic table
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head += 1;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail += 1;
+  }
+  const same = (line) => ({ type: "same", left: line, right: line });
+  const rows = a.slice(0, head).map(same);
+
+  const steps = diffSteps(a.slice(head, a.length - tail), b.slice(head, b.length - tail));
+  for (let k = 0; k < steps.length; ) {
+    if (steps[k].type === "same") {
+      rows.push(same(steps[k].line));
+      k += 1;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < steps.length && steps[k].type === "removed") removed.push(steps[k++].line);
+    while (k < steps.length && steps[k].type === "added") added.push(steps[k++].line);
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      const left = removed[n] ?? null;
+      const right = added[n] ?? null;
+      rows.push({
+        type: left === null ? "added" : right === null ? "removed" : "changed",
+        left,
+        right,
+      });
+    }
+  }
+  return [...rows, ...a.slice(a.length - tail).map(same)];
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Generation history, kept in IndexedDB so past outputs survive
+ * reloads without filling localStorage. Browser only.
+ */
+
+const DB_NAME = "ipsumify";
+const DB_VERSION = 1;
+const STORE = "history";
+
+/**
+ * @constant {number} HISTORY_LIMIT
+ * @description Unpinned entries kept; older ones are dropped as new ones arrive.
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - Assigned by IndexedDB, increasing with time
+ * @property {number} createdAt - Milliseconds since the epoch
+ * @property {string} seed
+ * @property {Object} options - Normalized generator options
+ * @property {string} markdown
+ * @property {{unit: string, requested: number, achieved: number}} length
+ * @property {{characters: number, words: number}} size
+ * @property {boolean} pinned - Pinned entries are never pruned
+ */
+
+// Wraps an IDBRequest in a promise
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let database = null;
+
+const openDatabase = () => {
+  database ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return database;
+};
+
+const historyStore = async (mode) =>
+  (await openDatabase()).transaction(STORE, mode).objectStore(STORE);
+
+/**
+ * Lists saved entries, newest first.
+ *
+ * @function listHistory
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export const listHistory = async () => {
+  const entries = await settle((await historyStore("readonly")).getAll());
+  return entries.sort((a, b) => b.id - a.id);
+};
+
+/**
+ * Saves a new entry, then drops the oldest unpinned entries beyond
+ * HISTORY_LIMIT.
+ *
+ * @function addHistoryEntry
+ * @param {Omit<HistoryEntry, "id">} entry
+ * @returns {Promise<HistoryEntry[]>} The updated list, newest first
+ */
+export const addHistoryEntry = async (entry) => {
+  await settle((await historyStore("readwrite")).add(entry));
+  const entries = await listHistory();
+  const stale = entries.filter(({ pinned }) => !pinned).slice(HISTORY_LIMIT);
+  if (!stale.length) return entries;
+  const store = await historyStore("readwrite");
+  await Promise.all(stale.map(({ id }) => settle(store.delete(id))));
+  return entries.filter((item) => !stale.includes(item));
+};
+
+/**
+ * Replaces a saved entry, e.g. to pin or unpin it.
+ *
+ * @function updateHistoryEntry
+ * @param {HistoryEntry} entry
+ * @returns {Promise<void>}
+ */
+export const updateHistoryEntry = async (entry) => {
+  await settle((await historyStore("readwrite")).put(entry));
+};
+
+/**
+ * Deletes one entry.
+ *
+ * @function deleteHistoryEntry
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export const deleteHistoryEntry = async (id) => {
+  await settle((await historyStore("readwrite")).delete(id));
+};
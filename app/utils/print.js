@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Printing the generated document, or saving it as PDF,
+ * without the app around it. The print layout document is loaded into a
+ * hidden frame and printed from there. Browser only.
+ */
+
+import { PAGE_SIZES, PAGE_MARGINS, normalizePrintSettings } from "#shared/ipsum";
+
+const PIXELS_PER_UNIT = { in: 96, mm: 96 / 25.4 };
+
+// CSS length in inches or millimeters to CSS pixels
+const toPixels = (length) => {
+  const [, value, unit] = length.match(/^([\d.]+)(in|mm)$/);
+  return Number(value) * PIXELS_PER_UNIT[unit];
+};
+
+// Blocks the print stylesheet keeps whole, moving them to the next page instead of splitting
+const UNSPLIT = "h1, h2, h3, h4, h5, h6, pre, blockquote, img, dt, .markdown-alert";
+
+/**
+ * Estimates the page each top-level block with an id lands on, by walking
+ * the blocks at the printed width and breaking pages the way the print
+ * stylesheet asks: forced breaks, blocks kept whole, headings kept with the
+ * start of what follows. Browsers don't expose their pagination, so this is
+ * a close estimate rather than the printed truth.
+ */
+const estimatePages = (doc, pageHeight) => {
+  const pages = new Map();
+  const blocks = [...doc.querySelector("article").children];
+  let page = 1;
+  let pageTop = 0;
+  // Space added above later blocks by pushing earlier ones to a new page
+  let shift = 0;
+  let lastBottom = 0;
+
+  blocks.forEach((block, i) => {
+    const style = doc.defaultView.getComputedStyle(block);
+    let top = block.offsetTop + shift;
+    const nextPage = () => {
+      shift += pageTop + pageHeight - top;
+      pageTop += pageHeight;
+      page += 1;
+      top = pageTop;
+    };
+
+    while (top >= pageTop + pageHeight) {
+      pageTop += pageHeight;
+      page += 1;
+    }
+    // A forced break only turns the page if something is already on it
+    if (style.breakBefore === "page" && lastBottom > pageTop) nextPage();
+    const keep = /^H[1-6]$/.test(block.tagName)
+      ? Math.min(blocks[i + 1]?.offsetHeight ?? 0, 3 * parseFloat(style.lineHeight) || 48)
+      : 0;
+    const height = block.offsetHeight + keep;
+    if (block.matches(UNSPLIT) && height <= pageHeight && top + height > pageTop + pageHeight) {
+      nextPage();
+    }
+
+    if (block.id) pages.set(block.id, page);
+    lastBottom = top + block.offsetHeight;
+    while (lastBottom > pageTop + pageHeight) {
+      pageTop += pageHeight;
+      page += 1;
+    }
+  });
+  return pages;
+};
+
+let frame = null;
+
+/**
+ * Prints a document made by `markdownToHtml(markdown, {template: "print", print: settings})`.
+ * The browser's print dialog offers "Save as PDF". With `tocPageNumbers` on,
+ * table of contents entries get their estimated page numbers first.
+ *
+ * @function printDocument
+ * @param {string} html - Standalone document with the print layout
+ * @param {Object} settings - The PrintSettings it was made with
+ * @returns {Promise<void>} Resolves when the print dialog closes
+ */
+export const printDocument = (html, settings) =>
+  new Promise((resolve) => {
+    const { pageSize, margins, tocPageNumbers } = normalizePrintSettings(settings);
+    const margin = toPixels(PAGE_MARGINS[margins].size);
+    const width = toPixels(PAGE_SIZES[pageSize].width) - 2 * margin;
+    const pageHeight = toPixels(PAGE_SIZES[pageSize].height) - 2 * margin;
+
+    frame?.remove();
+    frame = document.createElement("iframe");
+    frame.setAttribute("aria-hidden", "true");
+    frame.tabIndex = -1;
+    // Off screen at the printed width, so the layout matches the paper
+    Object.assign(frame.style, {
+      position: "fixed",
+      top: "0",
+      left: "-10000px",
+      width: `${width}px`,
+      height: "100px",
+      border: "0",
+    });
+
+    frame.addEventListener(
+      "load",
+      async () => {
+        const view = frame.contentWindow;
+        await view.document.fonts.ready;
+        if (tocPageNumbers) {
+          const pages = estimatePages(view.document, pageHeight);
+          view.document.querySelectorAll('#contents + ul a[href^="#"]').forEach((link) => {
+            const page = pages.get(decodeURIComponent(link.getAttribute("href").slice(1)));
+            if (page) link.dataset.page = page;
+          });
+        }
+        view.addEventListener(
+          "afterprint",
+          () => {
+            frame?.remove();
+            frame = null;
+            resolve();
+          },
+          { once: true }
+        );
+        view.focus();
+        view.print();
+      },
+      { once: true }
+    );
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
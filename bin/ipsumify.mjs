@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Ipsumify command-line tool.
+ *
+ * Wraps the same generator the website uses (`shared/ipsum`) so build scripts
+ * and CI jobs can write placeholder content files without opening a browser.
+ *
+ * ## Usage:
+ * ```bash
+ * ipsumify --blocks 8 --code-blocks --seed 42 --out content/sample.md
+ * ipsumify --no-headers --format html > sample.html
+ * ipsumify --length-unit characters --length-target 280
+ * ipsumify --code-blocks --code-languages go,rust --syntax-highlighting --format html
+ * ipsumify --tables --footnotes --format rst --out docs/sample.rst
+ * ipsumify --format html --template github --stylesheet /css/site.css
+ * ```
+ *
+ * Every key of the generator's `DEFAULT_OPTIONS` is available as a kebab-case
+ * flag: boolean options as switches (`--no-lists`, `--reference-links`) and
+ * the rest as values (`--num-blocks 4`, `--seed abc`).
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  generate,
+  markdownToHtml,
+  exportMarkdown,
+  documentLanguage,
+  formatLength,
+  DEFAULT_OPTIONS,
+  EXPORT_FORMATS,
+  HTML_TEMPLATES,
+  DEFAULT_HTML_TEMPLATE,
+} from "../shared/ipsum/index.js";
+import { highlightCode } from "../shared/ipsum/syntax.js";
+
+/**
+ * @constant {string[]} FORMATS
+ * @description Output formats accepted by `--format`.
+ */
+const FORMATS = ["md", "html", ...Object.keys(EXPORT_FORMATS)];
+
+const toKebabCase = (key) =>
+  key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+/**
+ * @constant {Array<{key: string, flag: string, type: string}>} OPTION_FLAGS
+ * @description One CLI flag per generator option, derived from DEFAULT_OPTIONS.
+ */
+const OPTION_FLAGS = Object.entries(DEFAULT_OPTIONS).map(([key, value]) => ({
+  key,
+  flag: toKebabCase(key),
+  type: typeof value === "boolean" ? "boolean" : "string",
+}));
+
+// List options such as codeLanguages are passed as "a,b"; object options
+// such as frontMatterKeys as "key=value,key=value"
+const formatDefault = (value) =>
+  Array.isArray(value)
+    ? JSON.stringify(value.join(","))
+    : value && typeof value === "object"
+      ? Object.entries(value).map(([key, item]) => `${key}=${item}`).join(",")
+      : JSON.stringify(value);
+
+const USAGE = `Usage: ipsumify [options]
+
+Generate structured placeholder markdown.
+
+Output:
+  --format <format>       Output format: ${FORMATS.join(", ")} (default: md)
+  --template <name>       HTML template: ${Object.keys(HTML_TEMPLATES).join(", ")} (default: ${DEFAULT_HTML_TEMPLATE})
+  --stylesheet <url>      Link this stylesheet from HTML output instead of inlining the template's
+  --out <file>            Write to a file instead of stdout
+  -h, --help              Show this help
+
+Generator options:
+  --blocks <n>            Alias for --num-blocks
+${OPTION_FLAGS.map(({ flag, type, key }) =>
+  type === "boolean"
+    ? `  --${flag}`
+    : `  --${flag} <value> `.padEnd(26) + `(default: ${formatDefault(DEFAULT_OPTIONS[key])})`
+).join("\n")}
+`;
+
+/**
+ * Parses argv into generator options and output settings.
+ *
+ * @function parseCliArgs
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {{options: Object, format: string, template: string, stylesheet?: string,
+ *   out?: string, help: boolean}}
+ * @throws {Error} On unknown flags or invalid values
+ */
+function parseCliArgs(argv) {
+  const parseOptions = {
+    format: { type: "string", default: "md" },
+    template: { type: "string", default: DEFAULT_HTML_TEMPLATE },
+    stylesheet: { type: "string" },
+    out: { type: "string" },
+    help: { type: "boolean", short: "h", default: false },
+    blocks: { type: "string" },
+  };
+  for (const { flag, type } of OPTION_FLAGS) {
+    parseOptions[flag] = { type };
+  }
+
+  const { values } = parseArgs({ args: argv, options: parseOptions });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(
+      `Unknown format "${values.format}". Use one of: ${FORMATS.join(", ")}`
+    );
+  }
+  if (!HTML_TEMPLATES[values.template]) {
+    throw new Error(
+      `Unknown template "${values.template}". Use one of: ${Object.keys(HTML_TEMPLATES).join(", ")}`
+    );
+  }
+
+  const options = {};
+  for (const { key, flag } of OPTION_FLAGS) {
+    if (values[flag] !== undefined) {
+      options[key] = values[flag];
+    }
+  }
+  if (values.blocks !== undefined) {
+    options.numBlocks = values.blocks;
+  }
+  if (options.numBlocks !== undefined) {
+    const numBlocks = Number(options.numBlocks);
+    if (!Number.isInteger(numBlocks) || numBlocks < 1 || numBlocks > 10) {
+      throw new Error(`--blocks must be an integer from 1 to 10, got "${options.numBlocks}"`);
+    }
+    options.numBlocks = numBlocks;
+  }
+  if (options.lengthTarget !== undefined) {
+    const lengthTarget = Number(options.lengthTarget);
+    if (!(lengthTarget > 0)) {
+      throw new Error(`--length-target must be a positive number, got "${options.lengthTarget}"`);
+    }
+    options.lengthTarget = lengthTarget;
+  }
+
+  return {
+    options,
+    format: values.format,
+    template: values.template,
+    stylesheet: values.stylesheet,
+    out: values.out,
+    help: values.help,
+  };
+}
+
+/**
+ * Entry point: generates the document and writes it to stdout or `--out`.
+ *
+ * @function main
+ */
+function main() {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { markdown, seed, length, options } = generate(args.options);
+  const output =
+    args.format === "html"
+      ? markdownToHtml(markdown, {
+          highlight: options.syntaxHighlighting && highlightCode,
+          template: args.template,
+          stylesheet: args.stylesheet,
+          ...documentLanguage(options),
+        })
+      : EXPORT_FORMATS[args.format]
+        ? exportMarkdown(markdown, args.format)
+        : markdown;
+
+  if (args.out) {
+    fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+    fs.writeFileSync(args.out, output, "utf8");
+    const size =
+      length.unit === "blocks" ? "" : `, ${formatLength(length.achieved, length.unit)}`;
+    console.error(`✅ Wrote ${args.out} (seed ${seed}${size})`);
+  } else {
+    process.stdout.write(output);
+  }
+  if (length.achieved < length.requested && length.unit === "characters") {
+    console.error(
+      `⚠️ The vocabulary's word lengths cannot make exactly ${formatLength(length.requested, length.unit)}; ` +
+        `wrote ${formatLength(length.achieved, length.unit)}`
+    );
+  }
+}
+
+main();
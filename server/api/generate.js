@@ -0,0 +1,143 @@
+/**
+ * @fileoverview `/api/generate` - HTTP access to the Ipsumify generator.
+ *
+ * Accepts the same option keys as the page (`noHeaders`, `codeBlocks`,
+ * `numBlocks`, `seed`, ...) as query parameters or a JSON body, and returns
+ * markdown, HTML, a JSON block list, or any export format (`txt`, `rst`,
+ * `adoc`, `org`, `tex`, `bbcode`). HTML takes a `template` (see HTML_TEMPLATES)
+ * and an optional `stylesheet` URL to link instead of the inline styles.
+ *
+ * The format comes from the `format` parameter and falls back to the
+ * `Accept` header, then to markdown.
+ *
+ * @example
+ * curl "http://localhost:3000/api/generate?numBlocks=3&codeBlocks=true&seed=42"
+ * curl -H "Accept: application/json" "http://localhost:3000/api/generate?noLists=1"
+ * curl "http://localhost:3000/api/generate?lengthUnit=characters&lengthTarget=280"
+ * curl "http://localhost:3000/api/generate?codeBlocks=1&codeLanguages=go,rust&syntaxHighlighting=1&format=html"
+ * curl "http://localhost:3000/api/generate?tables=1&format=adoc"
+ * curl "http://localhost:3000/api/generate?format=html&template=github&stylesheet=/css/site.css"
+ * curl -X POST -H "Content-Type: application/json" \
+ *   -d '{"referenceLinks": true, "format": "html"}' http://localhost:3000/api/generate
+ *
+ * @note Only available when the app runs as a server (`yarn build` then
+ * `node .output/server/index.mjs`). The static `yarn generate` deploy
+ * prerenders pages only.
+ */
+
+import {
+  generate,
+  markdownToHtml,
+  exportMarkdown,
+  documentLanguage,
+  DEFAULT_OPTIONS,
+  EXPORT_FORMATS,
+  HTML_TEMPLATES,
+  DEFAULT_HTML_TEMPLATE,
+} from "#shared/ipsum";
+import { highlightCode } from "#shared/ipsum/syntax.js";
+
+const FORMATS = {
+  md: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ...Object.fromEntries(
+    Object.entries(EXPORT_FORMATS).map(([key, { mimeType }]) => [key, `${mimeType}; charset=utf-8`])
+  ),
+};
+
+const FORMAT_ALIASES = { markdown: "md", text: "txt", asciidoc: "adoc", latex: "tex" };
+
+// Query values arrive as strings, so "false" and "0" must not count as true
+const toBoolean = (value) =>
+  typeof value === "boolean"
+    ? value
+    : !["false", "0", "no", "off"].includes(String(value).toLowerCase());
+
+const parseOptions = (params) => {
+  const options = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_OPTIONS)) {
+    if (params[key] === undefined) continue;
+    // List options take repeated parameters; others keep the first value
+    const value =
+      Array.isArray(params[key]) && !Array.isArray(fallback) ? params[key][0] : params[key];
+    options[key] = typeof fallback === "boolean" ? toBoolean(value) : value;
+  }
+  if (options.numBlocks !== undefined) {
+    const numBlocks = Number(options.numBlocks);
+    if (!Number.isInteger(numBlocks) || numBlocks < 1 || numBlocks > 10) {
+      throw createError({
+        statusCode: 400,
+        statusMessage: `numBlocks must be an integer from 1 to 10, got "${options.numBlocks}"`,
+      });
+    }
+    options.numBlocks = numBlocks;
+  }
+  if (options.lengthTarget !== undefined) {
+    const lengthTarget = Number(options.lengthTarget);
+    if (!(lengthTarget > 0)) {
+      throw createError({
+        statusCode: 400,
+        statusMessage: `lengthTarget must be a positive number, got "${options.lengthTarget}"`,
+      });
+    }
+    options.lengthTarget = lengthTarget;
+  }
+  return options;
+};
+
+const resolveFormat = (requested, accept = "") => {
+  if (requested) {
+    const format = FORMAT_ALIASES[requested] || requested;
+    if (!FORMATS[format]) {
+      throw createError({
+        statusCode: 400,
+        statusMessage: `Unknown format "${requested}". Use one of: ${Object.keys(FORMATS).join(", ")}`,
+      });
+    }
+    return format;
+  }
+  if (accept.includes("application/json")) return "json";
+  if (accept.includes("text/html")) return "html";
+  return "md";
+};
+
+const resolveTemplate = (requested = DEFAULT_HTML_TEMPLATE) => {
+  if (!HTML_TEMPLATES[requested]) {
+    throw createError({
+      statusCode: 400,
+      statusMessage: `Unknown template "${requested}". Use one of: ${Object.keys(HTML_TEMPLATES).join(", ")}`,
+    });
+  }
+  return requested;
+};
+
+export default defineEventHandler(async (event) => {
+  const params = { ...getQuery(event) };
+  if (event.method === "POST") {
+    const body = await readBody(event);
+    if (body && typeof body === "object") {
+      Object.assign(params, body);
+    }
+  }
+
+  const format = resolveFormat(params.format, getHeader(event, "accept"));
+  const template = resolveTemplate(params.template);
+  const { markdown, blocks, seed, options, length } = generate(parseOptions(params));
+
+  setHeader(event, "Content-Type", FORMATS[format]);
+  setHeader(event, "X-Ipsumify-Seed", seed);
+
+  if (format === "json") {
+    return JSON.stringify({ seed, options, length, blocks, markdown });
+  }
+  if (format === "html") {
+    return markdownToHtml(markdown, {
+      highlight: options.syntaxHighlighting && highlightCode,
+      template,
+      stylesheet: params.stylesheet ? String(params.stylesheet) : undefined,
+      ...documentLanguage(options),
+    });
+  }
+  return EXPORT_FORMATS[format] ? exportMarkdown(markdown, format) : markdown;
+});
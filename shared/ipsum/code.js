@@ -0,0 +1,477 @@
+/**
+ * @fileoverview Procedurally generated code snippets.
+ *
+ * Each language builds snippets from small statement templates filled with
+ * made-up identifiers, so a document with several code blocks doesn't repeat
+ * itself. Snippets have an exact line count, which the generator picks
+ * between `codeMinLines` and `codeMaxLines`.
+ */
+
+const NOUNS = [
+  "user", "account", "item", "record", "report", "grant", "county", "request",
+  "response", "config", "result", "total", "count", "entry", "file", "path",
+  "name", "status", "payload", "session", "invoice", "agency", "ticket",
+  "event", "queue", "cache", "token", "region", "metric", "batch",
+];
+
+const VERBS = [
+  "get", "load", "fetch", "parse", "build", "format", "update", "save",
+  "filter", "sort", "validate", "render", "process", "compute", "sync",
+  "merge", "export", "import", "resolve", "collect",
+];
+
+const CSS_PROPERTIES = [
+  ["color", ["#1e293b", "#2563eb", "inherit", "rgb(15 23 42 / 80%)"]],
+  ["background", ["#f8fafc", "transparent", "var(--surface)"]],
+  ["margin", ["0", "0 auto", "1rem 0", "0.5rem 1rem"]],
+  ["padding", ["0.5rem", "1rem 1.5rem", "0"]],
+  ["display", ["flex", "grid", "block", "inline-flex"]],
+  ["gap", ["0.5rem", "1rem", "2rem"]],
+  ["font-size", ["0.875rem", "1rem", "1.25rem", "clamp(1rem, 2vw, 1.5rem)"]],
+  ["font-weight", ["400", "600", "700"]],
+  ["border-radius", ["4px", "8px", "9999px"]],
+  ["border", ["1px solid #e2e8f0", "0"]],
+  ["line-height", ["1.4", "1.6"]],
+  ["max-width", ["40rem", "100%", "1200px"]],
+];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const plural = (word) =>
+  word.endsWith("y")
+    ? `${word.slice(0, -1)}ies`
+    : /(?:s|ch|sh|x)$/.test(word)
+      ? `${word}es`
+      : `${word}s`;
+
+// Identifier, value and structure helpers bound to one snippet's PRNG
+const createTools = (random) => {
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const int = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+  const noun = () => pick(NOUNS);
+  const tools = {
+    random,
+    pick,
+    int,
+    noun,
+    verb: () => pick(VERBS),
+    camel: () => `${tools.verb()}${capitalize(noun())}`,
+    snake: () => `${tools.verb()}_${noun()}`,
+    pascal: () => `${capitalize(noun())}${capitalize(pick(["Service", "Store", "Client", "Report", "Handler"]))}`,
+    kebab: () => `${noun()}-${pick(["list", "card", "panel", "header", "item", "grid"])}`,
+    plural: () => plural(noun()),
+    number: () => int(0, 500),
+    string: () => `${noun()}-${int(1, 99)}`,
+  };
+  return tools;
+};
+
+/**
+ * Variable names in one snippet: `fresh()` declares a new name and `use()`
+ * returns one already declared, so statements build on each other instead of
+ * redeclaring the same variable. Names declared by a statement become usable
+ * once `commit()` runs after it, so `const a = a.map(...)` can't happen.
+ */
+const createScope = (t, params = []) => {
+  const names = [...params];
+  const pending = [];
+  return {
+    params,
+    fresh: () => {
+      let name = t.noun();
+      for (let i = 0; (names.includes(name) || pending.includes(name)) && i < 20; i++) {
+        name = `${t.noun()}${capitalize(t.noun())}`;
+      }
+      pending.push(name);
+      return name;
+    },
+    use: () => (names.length ? t.pick(names) : t.noun()),
+    commit: () => names.push(...pending.splice(0)),
+  };
+};
+
+const nextLine = (statement, t, scope) => {
+  const line = statement(t, scope);
+  scope.commit();
+  return line;
+};
+
+const indent = (lines, prefix) => lines.map((line) => `${prefix}${line}`);
+
+/**
+ * Builds a snippet from a wrapper (function, class...) around body
+ * statements. Targets shorter than the wrapper get bare statements.
+ */
+const wrapped = ({ params = 1, header, footer, statement, last, bodyIndent }) => (t, lines) => {
+  const scope = createScope(t, Array.from({ length: params }, () => plural(t.noun())));
+  const open = header(t, scope);
+  const close = footer(t, scope);
+  if (lines <= open.length + close.length) {
+    return Array.from({ length: lines }, () => nextLine(statement, t, scope));
+  }
+  const count = lines - open.length - close.length;
+  const body = Array.from({ length: count - 1 }, () => nextLine(statement, t, scope));
+  body.push(last(t, scope));
+  return [...open, ...indent(body, bodyIndent), ...close];
+};
+
+// Statement-only languages: every line stands alone
+const statements = (statement) => (t, lines) => {
+  const scope = createScope(t, [t.noun(), t.noun()]);
+  return Array.from({ length: lines }, () => nextLine(statement, t, scope));
+};
+
+// One statement outside any snippet, for inline code
+const oneLine = (statement) => (t) => statement(t, createScope(t, [t.noun()]));
+
+const javascriptStatement = (t, s) =>
+  t.pick([
+    () => `const ${s.fresh()} = ${s.use()}.map((item) => item.${t.noun()});`,
+    () => `const ${s.fresh()} = ${s.use()}.filter((entry) => entry.${t.noun()} > ${t.number()});`,
+    () => `let ${s.fresh()} = ${t.number()};`,
+    () => `if (!${s.use()}) return null;`,
+    () => `${s.use()}.push("${t.string()}");`,
+    () => `console.log(\`${t.noun()}: \${${s.use()}}\`);`,
+    () => `const { ${s.fresh()}, ${s.fresh()} } = ${s.use()};`,
+    () => `const ${s.fresh()} = await ${t.camel()}(${s.use()}, { ${t.noun()}: "${t.string()}" });`,
+  ])();
+
+const typescriptStatement = (t, s) =>
+  t.pick([
+    () => `const ${s.fresh()}: number = ${s.use()}.length;`,
+    () => `const ${s.fresh()} = ${s.use()} as ${t.pascal()};`,
+    () => `const ${s.fresh()}: Record<string, string> = {};`,
+    () => javascriptStatement(t, s),
+  ])();
+
+const pythonStatement = (t, s) =>
+  t.pick([
+    () => `${s.fresh()} = [entry for entry in ${s.use()} if entry]`,
+    () => `${s.fresh()} = ${s.use()}.get("${t.noun()}", ${t.number()})`,
+    () => `print(f"${t.noun()}: {${s.use()}}")`,
+    () => `${s.use()}.append("${t.string()}")`,
+    () => `${s.fresh()} = sorted(${s.use()}, key=lambda entry: entry.${t.noun()})`,
+    () => `${s.fresh()} = len(${s.use()}) + ${t.number()}`,
+  ])();
+
+const goStatement = (t, s) =>
+  t.pick([
+    () => `${s.fresh()} := len(${s.use()})`,
+    () => `fmt.Println("${t.noun()}", ${s.use()})`,
+    () => `${s.fresh()} := strings.Join(${s.use()}, ",")`,
+    () => `${s.fresh()}, err := ${t.camel()}(ctx, ${s.use()})`,
+    () => "if err != nil { return nil, err }",
+    () => `${s.fresh()} := append(${s.use()}, "${t.string()}")`,
+  ])();
+
+const rustStatement = (t, s) =>
+  t.pick([
+    () => `let ${s.fresh()} = ${s.use()}.iter().sum::<u32>();`,
+    () => `let mut ${s.fresh()} = Vec::new();`,
+    () => `println!("${t.noun()}: {:?}", ${s.use()});`,
+    () => `let ${s.fresh()} = ${s.use()}.len() + ${t.number()};`,
+    () => `let ${s.fresh()} = ${s.use()}.first().copied().unwrap_or(0);`,
+  ])();
+
+const javaStatement = (t, s) =>
+  t.pick([
+    () => `int ${s.fresh()} = ${s.use()}.size();`,
+    () => `System.out.println("${t.noun()}: " + ${s.use()});`,
+    () => `List<String> ${s.fresh()} = new ArrayList<>();`,
+    () => `String ${s.fresh()} = String.join(",", ${s.use()});`,
+    () => `var ${s.fresh()} = ${s.use()}.stream().filter(Objects::nonNull).toList();`,
+  ])();
+
+const csharpStatement = (t, s) =>
+  t.pick([
+    () => `var ${s.fresh()} = ${s.use()}.Count;`,
+    () => `Console.WriteLine($"${t.noun()}: {${s.use()}}");`,
+    () => `var ${s.fresh()} = string.Join(",", ${s.use()});`,
+    () => `var ${s.fresh()} = ${s.use()}.Where(x => x != null).ToList();`,
+  ])();
+
+const bashStatement = (t, s) =>
+  t.pick([
+    () => `${s.fresh().toUpperCase()}="${t.string()}"`,
+    () => `echo "${t.noun()}: \${${s.use().toUpperCase()}}"`,
+    () => `mkdir -p "./${t.plural()}"`,
+    () => `for f in ./${t.plural()}/*.json; do echo "$f"; done`,
+    () => `cp "${t.noun()}.txt" "./${t.plural()}/"`,
+    () => `grep -rn "${t.noun()}" ./src | wc -l`,
+  ])();
+
+const sqlStatement = (t, s) => {
+  const table = t.plural();
+  const [a, b] = [s.use(), s.fresh()];
+  return t.pick([
+    () => `SELECT ${a}, ${b} FROM ${table} WHERE ${a} > ${t.number()};`,
+    () => `INSERT INTO ${table} (${a}, ${b}) VALUES ('${t.string()}', ${t.number()});`,
+    () => `UPDATE ${table} SET ${a} = ${t.number()} WHERE id = ${t.number()};`,
+    () => `DELETE FROM ${table} WHERE ${b} IS NULL;`,
+    () => `CREATE INDEX idx_${table}_${a} ON ${table} (${a});`,
+    () => `SELECT ${b}, COUNT(*) AS total FROM ${table} GROUP BY ${b};`,
+  ])();
+};
+
+const jsonValue = (t) =>
+  t.pick([
+    () => `"${t.string()}"`,
+    () => String(t.number()),
+    () => t.pick(["true", "false", "null"]),
+  ])();
+
+const htmlLine = (t) =>
+  t.pick([
+    () => `<h2>${capitalize(t.noun())} ${t.noun()}</h2>`,
+    () => `<p>The ${t.noun()} ${t.verb()}s every ${t.noun()}.</p>`,
+    () => `<a href="/${t.kebab()}">${capitalize(t.noun())}</a>`,
+    () => `<img src="/images/${t.kebab()}.png" alt="${capitalize(t.noun())} ${t.noun()}">`,
+    () => `<button type="button" class="${t.kebab()}">${capitalize(t.verb())}</button>`,
+  ])();
+
+const cssDeclaration = (t) => {
+  const [property, values] = t.pick(CSS_PROPERTIES);
+  return `${property}: ${t.pick(values)};`;
+};
+
+const consoleCommand = (t) =>
+  t.pick([
+    () => [`$ npm install ${t.noun()}-utils`, `added ${t.int(1, 90)} packages in ${t.int(1, 9)}s`],
+    () => [`$ git status --short`, ` M src/${t.noun()}.js`, `?? src/${t.noun()}.test.js`],
+    () => [`$ ls ./${t.plural()}`, `${t.noun()}.json  ${t.noun()}.json  ${t.noun()}.md`],
+    () => [`$ curl -s localhost:3000/api/${t.plural()} | jq length`, String(t.number())],
+    () => [`$ export ${t.noun().toUpperCase()}_ID=${t.int(100, 999)}`],
+  ])();
+
+const diffLine = (t, scope) => {
+  const line = nextLine(javascriptStatement, t, scope);
+  return `${t.pick([" ", " ", "-", "+"])} ${line}`;
+};
+
+/**
+ * @typedef {Object} CodeLanguage
+ * @property {string} label - Human-readable name
+ * @property {function(Object, number): string[]} block - Builds exactly `lines` lines
+ * @property {function(Object): string} line - A single line for inline code
+ */
+
+/**
+ * @constant {Object<string, CodeLanguage>} CODE_LANGUAGES
+ * @description Snippet languages, keyed by the fence info string they use.
+ */
+export const CODE_LANGUAGES = Object.freeze({
+  javascript: {
+    label: "JavaScript",
+    block: wrapped({
+      header: (t, { params: [a] }) => [`export async function ${t.camel()}(${a}, options = {}) {`],
+      footer: () => ["}"],
+      statement: javascriptStatement,
+      last: (t, s) => `return ${s.use()};`,
+      bodyIndent: "  ",
+    }),
+    line: (t) => javascriptStatement(t, createScope(t, [t.noun()])),
+  },
+  typescript: {
+    label: "TypeScript",
+    block: (t, lines) =>
+      t.random() < 0.4
+        ? wrapped({
+            header: () => [`export interface ${t.pascal()} {`],
+            footer: () => ["}"],
+            statement: () => `${t.noun()}${t.pick(["", "?"])}: ${t.pick(["string", "number", "boolean", "string[]", "Date"])};`,
+            last: () => `${t.noun()}: ${t.pascal()};`,
+            bodyIndent: "  ",
+          })(t, lines)
+        : wrapped({
+            header: (_, { params: [a] }) => [`export function ${t.camel()}(${a}: ${t.pascal()}[]): number {`],
+            footer: () => ["}"],
+            statement: typescriptStatement,
+            last: (_, s) => `return ${s.use()}.length;`,
+            bodyIndent: "  ",
+          })(t, lines),
+    line: (t) => typescriptStatement(t, createScope(t, [t.noun()])),
+  },
+  python: {
+    label: "Python",
+    block: wrapped({
+      params: 2,
+      header: (t, { params: [a, b] }) => [`def ${t.snake()}(${a}, ${b}=None):`],
+      footer: () => [],
+      statement: pythonStatement,
+      last: (t, s) => `return ${s.use()}`,
+      bodyIndent: "    ",
+    }),
+    line: (t) => pythonStatement(t, createScope(t, [t.noun()])),
+  },
+  go: {
+    label: "Go",
+    block: wrapped({
+      header: (t, { params: [b] }) => [`func ${capitalize(t.camel())}(ctx context.Context, ${b} []string) ([]string, error) {`],
+      footer: () => ["}"],
+      statement: goStatement,
+      last: (t, s) => `return ${s.use()}, nil`,
+      bodyIndent: "\t",
+    }),
+    line: (t) => goStatement(t, createScope(t, [t.noun()])),
+  },
+  rust: {
+    label: "Rust",
+    block: wrapped({
+      header: (t, { params: [b] }) => [`pub fn ${t.snake()}(${b}: &[u32]) -> Option<usize> {`],
+      footer: () => ["}"],
+      statement: rustStatement,
+      last: (t, s) => `Some(${s.use()}.len())`,
+      bodyIndent: "    ",
+    }),
+    line: (t) => rustStatement(t, createScope(t, [t.noun()])),
+  },
+  java: {
+    label: "Java",
+    block: wrapped({
+      header: (t, { params: [b] }) => [
+        `public class ${t.pascal()} {`,
+        `    public int ${t.camel()}(List<String> ${b}) {`,
+      ],
+      footer: () => ["    }", "}"],
+      statement: javaStatement,
+      last: (t, s) => `return ${s.use()}.hashCode();`,
+      bodyIndent: "        ",
+    }),
+    line: (t) => javaStatement(t, createScope(t, [t.noun()])),
+  },
+  csharp: {
+    label: "C#",
+    block: wrapped({
+      header: (t, { params: [b] }) => [
+        `public class ${t.pascal()}`,
+        "{",
+        `    public int ${capitalize(t.camel())}(List<string> ${b})`,
+        "    {",
+      ],
+      footer: () => ["    }", "}"],
+      statement: csharpStatement,
+      last: (t, s) => `return ${s.use()}.GetHashCode();`,
+      bodyIndent: "        ",
+    }),
+    line: (t) => csharpStatement(t, createScope(t, [t.noun()])),
+  },
+  bash: {
+    label: "Shell script",
+    block: (t, lines) =>
+      lines > 2
+        ? ["#!/usr/bin/env bash", "set -euo pipefail", ...statements(bashStatement)(t, lines - 2)]
+        : statements(bashStatement)(t, lines),
+    line: (t) => bashStatement(t, createScope(t, [t.noun()])),
+  },
+  console: {
+    label: "Shell session",
+    block: (t, lines) => {
+      const output = [];
+      while (output.length < lines) output.push(...consoleCommand(t));
+      return output.slice(0, lines);
+    },
+    line: (t) => consoleCommand(t)[0],
+  },
+  sql: {
+    label: "SQL",
+    block: statements(sqlStatement),
+    line: (t) => sqlStatement(t, createScope(t, [t.noun()])),
+  },
+  json: {
+    label: "JSON",
+    block: (t, lines) => {
+      const scope = createScope(t);
+      const keys = Array.from({ length: Math.max(1, lines - 2) }, scope.fresh);
+      if (lines === 1) return [`{ "${keys[0]}": ${jsonValue(t)} }`];
+      if (lines === 2) return [`{ "${keys[0]}": ${jsonValue(t)},`, `  "${t.noun()}Id": ${t.number()} }`];
+      const entries = keys.map((key, i) => `  "${key}": ${jsonValue(t)}${i < keys.length - 1 ? "," : ""}`);
+      return ["{", ...entries, "}"];
+    },
+    line: (t) => `{ "${t.noun()}": ${jsonValue(t)} }`,
+  },
+  yaml: {
+    label: "YAML",
+    block: (t, lines) => {
+      const output = [];
+      while (output.length < lines) {
+        const room = lines - output.length;
+        if (room >= 2 && t.random() < 0.3) {
+          output.push(`${t.plural()}:`);
+          const items = t.int(1, Math.min(3, room - 1));
+          for (let i = 0; i < items; i++) output.push(`  - ${t.string()}`);
+        } else {
+          output.push(`${t.noun()}_${t.noun()}: ${jsonValue(t)}`);
+        }
+      }
+      return output;
+    },
+    line: (t) => `${t.noun()}: ${jsonValue(t)}`,
+  },
+  html: {
+    label: "HTML",
+    block: wrapped({
+      header: (t) => [`<section class="${t.kebab()}">`],
+      footer: () => ["</section>"],
+      statement: htmlLine,
+      last: htmlLine,
+      bodyIndent: "  ",
+    }),
+    line: htmlLine,
+  },
+  css: {
+    label: "CSS",
+    block: (t, lines) => {
+      const output = [];
+      while (output.length < lines) {
+        const room = lines - output.length;
+        if (room < 3) {
+          output.push(`.${t.kebab()} { ${cssDeclaration(t)} }`);
+          continue;
+        }
+        const declarations = t.int(1, Math.min(4, room - 2));
+        output.push(`.${t.kebab()}${t.pick(["", ":hover", " > a", "--active"])} {`);
+        for (let i = 0; i < declarations; i++) output.push(`  ${cssDeclaration(t)}`);
+        output.push("}");
+      }
+      return output;
+    },
+    line: (t) => `.${t.kebab()} { ${cssDeclaration(t)} }`,
+  },
+  diff: {
+    label: "Diff",
+    block: (t, lines) => {
+      const scope = createScope(t, [t.noun()]);
+      if (lines < 4) return Array.from({ length: lines }, () => diffLine(t, scope));
+      const file = `src/${t.noun()}.js`;
+      const start = t.int(1, 200);
+      const body = Array.from({ length: lines - 3 }, () => diffLine(t, scope));
+      // The hunk header counts context and removed lines on the old side, context and added on the new
+      const count = (marker) => body.filter((line) => line[0] === " " || line[0] === marker).length;
+      // An empty side names the line before the hunk
+      const range = (lineCount) => (lineCount ? `${start},${lineCount}` : `${start - 1},0`);
+      return [`--- a/${file}`, `+++ b/${file}`, `@@ -${range(count("-"))} +${range(count("+"))} @@`, ...body];
+    },
+    line: (t) => diffLine(t, createScope(t, [t.noun()])).slice(2),
+  },
+});
+
+/**
+ * @constant {string[]} CODE_LANGUAGE_NAMES
+ * @description Keys of CODE_LANGUAGES, the values accepted by `codeLanguages`.
+ */
+export const CODE_LANGUAGE_NAMES = Object.keys(CODE_LANGUAGES);
+
+/**
+ * Generates a code snippet.
+ *
+ * @function generateSnippet
+ * @param {function(): number} random - Seeded PRNG
+ * @param {string} lang - A key of CODE_LANGUAGES
+ * @param {number} [lines] - Exact line count; omit for a one-line inline snippet
+ * @returns {string}
+ */
+export const generateSnippet = (random, lang, lines) => {
+  const language = CODE_LANGUAGES[lang];
+  const tools = createTools(random);
+  return lines ? language.block(tools, lines).join("\n") : language.line(tools);
+};
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Parses generated markdown into a small document tree, the
+ * common input of the plain-text and markup exporters (see exporters.js).
+ *
+ * Parsing uses markdown-it with the footnote and definition list plugins,
+ * like the HTML renderer, so every output format reads the document the same
+ * way. GFM task markers and alert markers are resolved here rather than left
+ * in the text.
+ */
+
+import MarkdownIt from "markdown-it";
+import footnote from "markdown-it-footnote";
+import deflist from "markdown-it-deflist";
+import { stripFrontMatter } from "./html.js";
+import { createSlugger } from "./slug.js";
+
+/**
+ * @typedef {Object} DocNode
+ * @property {string} type - Block types: "heading", "paragraph", "list", "blockquote", "alert",
+ *   "code", "table", "thematicBreak", "definitionList". Inline types: "text", "strong", "em",
+ *   "strike", "inlineCode", "link", "image", "footnoteRef", "break".
+ * @property {DocNode[]} [children] - Inline content (heading, paragraph, strong, em, strike,
+ *   link) or nested blocks (blockquote, alert)
+ * @property {string} [raw] - Markdown source of the inline content (heading, paragraph)
+ * @property {number} [level] - Heading level
+ * @property {boolean} [ordered] - Numbered list (list)
+ * @property {number} [start] - First number (ordered list)
+ * @property {boolean} [tight] - No blank lines between items (list)
+ * @property {Array<{checked: boolean|null, children: DocNode[]}>} [items] - List items; `checked`
+ *   is null outside task lists
+ * @property {string} [kind] - "NOTE", "TIP", "IMPORTANT", "WARNING" or "CAUTION" (alert)
+ * @property {string} [lang] - Info string language (code)
+ * @property {string} [value] - Source (code, inlineCode) or text (text)
+ * @property {Array<string|null>} [align] - Per-column "left", "center", "right" or null (table)
+ * @property {DocNode[][]} [header] - Header cells, each a list of inline nodes (table)
+ * @property {DocNode[][][]} [rows] - Body cells (table)
+ * @property {Array<{term: DocNode[], definitions: DocNode[][]}>} [entries] - Definition list
+ *   entries; each definition is a list of blocks
+ * @property {string} [href] - Link target (link)
+ * @property {string} [src] - Image URL (image)
+ * @property {string} [alt] - Alt text (image)
+ * @property {string} [title] - Image title (image)
+ * @property {number} [id] - Footnote index from 0 (footnoteRef)
+ */
+
+/**
+ * @typedef {Object} DocTree
+ * @property {DocNode[]} children - Top-level blocks
+ * @property {DocNode[][]} footnotes - Footnote definitions by id, each a list of blocks
+ */
+
+const parser = new MarkdownIt({ html: false, linkify: false, typographer: false })
+  .use(footnote)
+  .use(deflist);
+
+const ALERT_MARKER = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*(?:\n|$)/;
+const TASK_MARKER = /^\[([ xX])\] /;
+
+const WRAPPERS = { strong_open: "strong", em_open: "em", s_open: "strike", link_open: "link" };
+
+// Inline tokens to nodes; `state.i` walks the token list
+const parseInline = (tokens, state = { i: 0 }, close = null) => {
+  const nodes = [];
+  while (state.i < tokens.length) {
+    const token = tokens[state.i++];
+    if (token.type === close) break;
+    if (WRAPPERS[token.type]) {
+      const node = { type: WRAPPERS[token.type] };
+      if (token.type === "link_open") node.href = token.attrGet("href");
+      node.children = parseInline(tokens, state, token.type.replace("_open", "_close"));
+      nodes.push(node);
+    } else if (token.type === "text") {
+      nodes.push({ type: "text", value: token.content });
+    } else if (token.type === "softbreak") {
+      nodes.push({ type: "text", value: "\n" });
+    } else if (token.type === "hardbreak") {
+      nodes.push({ type: "break" });
+    } else if (token.type === "code_inline") {
+      nodes.push({ type: "inlineCode", value: token.content });
+    } else if (token.type === "image") {
+      nodes.push({
+        type: "image",
+        src: token.attrGet("src"),
+        alt: token.children.map((child) => child.content).join(""),
+        title: token.attrGet("title") || "",
+      });
+    } else if (token.type === "footnote_ref") {
+      nodes.push({ type: "footnoteRef", id: token.meta.id });
+    }
+  }
+  return nodes;
+};
+
+// The inline token at `state.i` as nodes, skipping to `close` (footnote
+// anchors sit between the inline token and the paragraph's close)
+const takeInline = (tokens, state, close) => {
+  const inline = tokens[state.i];
+  while (tokens[state.i].type !== close) state.i += 1;
+  state.i += 1;
+  return { raw: inline.content, children: parseInline(inline.children) };
+};
+
+const cellAlign = (token) => token.attrGet("style")?.match(/text-align:(\w+)/)?.[1] ?? null;
+
+const parseTable = (tokens, state) => {
+  const table = { type: "table", align: [], header: [], rows: [] };
+  let row = null;
+  let inHead = false;
+  while (tokens[state.i].type !== "table_close") {
+    const token = tokens[state.i++];
+    if (token.type === "thead_open") inHead = true;
+    else if (token.type === "thead_close") inHead = false;
+    else if (token.type === "tr_open") row = [];
+    else if (token.type === "tr_close") {
+      if (inHead) table.header = row;
+      else table.rows.push(row);
+    } else if (token.type === "th_open" || token.type === "td_open") {
+      if (inHead) table.align.push(cellAlign(token));
+      row.push(takeInline(tokens, state, token.type.replace("_open", "_close")).children);
+    }
+  }
+  state.i += 1;
+  return table;
+};
+
+// Task markers become `checked`; the marker text is dropped
+const parseListItem = (tokens, state) => {
+  const children = parseBlocks(tokens, state, "list_item_close");
+  const first = children[0];
+  const match = first?.type === "paragraph" && first.raw.match(TASK_MARKER);
+  if (!match || first.children[0]?.type !== "text") return { checked: null, children };
+  first.children[0].value = first.children[0].value.replace(TASK_MARKER, "");
+  return { checked: match[1] !== " ", children };
+};
+
+// A blockquote that starts with `[!NOTE]` and the like is an alert
+const parseBlockquote = (tokens, state) => {
+  const children = parseBlocks(tokens, state, "blockquote_close");
+  const first = children[0];
+  const match = first?.type === "paragraph" && first.raw.match(ALERT_MARKER);
+  if (!match) return { type: "blockquote", children };
+  const lineEnd = first.children.findIndex((node) => node.type === "text" && node.value === "\n");
+  if (lineEnd === -1) children.shift();
+  else first.children.splice(0, lineEnd + 1);
+  return { type: "alert", kind: match[1], children };
+};
+
+// Block tokens to nodes, up to the `close` token type
+const parseBlocks = (tokens, state, close = null) => {
+  const nodes = [];
+  while (state.i < tokens.length) {
+    const token = tokens[state.i++];
+    if (token.type === close) break;
+    switch (token.type) {
+      case "heading_open":
+        nodes.push({
+          type: "heading",
+          level: Number(token.tag.slice(1)),
+          ...takeInline(tokens, state, "heading_close"),
+        });
+        break;
+      case "paragraph_open":
+        nodes.push({ type: "paragraph", ...takeInline(tokens, state, "paragraph_close") });
+        break;
+      case "bullet_list_open":
+      case "ordered_list_open": {
+        const list = {
+          type: "list",
+          ordered: token.type === "ordered_list_open",
+          start: Number(token.attrGet("start") ?? 1),
+          tight: Boolean(tokens[state.i + 1]?.hidden),
+          items: [],
+        };
+        const end = token.type.replace("_open", "_close");
+        while (tokens[state.i].type !== end) {
+          state.i += 1;
+          list.items.push(parseListItem(tokens, state));
+        }
+        state.i += 1;
+        nodes.push(list);
+        break;
+      }
+      case "blockquote_open":
+        nodes.push(parseBlockquote(tokens, state));
+        break;
+      case "fence":
+      case "code_block":
+        nodes.push({
+          type: "code",
+          lang: token.info.trim().split(/\s+/)[0],
+          value: token.content.replace(/\n$/, ""),
+        });
+        break;
+      case "hr":
+        nodes.push({ type: "thematicBreak" });
+        break;
+      case "table_open":
+        nodes.push(parseTable(tokens, state));
+        break;
+      case "dl_open": {
+        const list = { type: "definitionList", entries: [] };
+        while (tokens[state.i].type !== "dl_close") {
+          const part = tokens[state.i++];
+          if (part.type === "dt_open") {
+            list.entries.push({ term: takeInline(tokens, state, "dt_close").children, definitions: [] });
+          } else if (part.type === "dd_open") {
+            list.entries.at(-1).definitions.push(parseBlocks(tokens, state, "dd_close"));
+          }
+        }
+        state.i += 1;
+        nodes.push(list);
+        break;
+      }
+      case "footnote_block_open":
+        state.footnotes = [];
+        while (tokens[state.i].type !== "footnote_block_close") {
+          const part = tokens[state.i++];
+          if (part.type === "footnote_open") {
+            state.footnotes[part.meta.id] = parseBlocks(tokens, state, "footnote_close");
+          }
+        }
+        state.i += 1;
+        break;
+      default:
+        break;
+    }
+  }
+  return nodes;
+};
+
+/**
+ * Parses generated markdown into a document tree. Front matter is dropped.
+ *
+ * @function parseDocument
+ * @param {string} markdown
+ * @returns {DocTree}
+ */
+export const parseDocument = (markdown) => {
+  const tokens = parser.parse(stripFrontMatter(markdown), {});
+  const state = { i: 0, footnotes: [] };
+  const children = parseBlocks(tokens, state);
+  return { children, footnotes: state.footnotes };
+};
+
+/**
+ * Text content of inline nodes with all markup dropped.
+ *
+ * @function plainInline
+ * @param {DocNode[]} nodes
+ * @returns {string}
+ */
+export const plainInline = (nodes) =>
+  nodes
+    .map((node) =>
+      node.children
+        ? plainInline(node.children)
+        : node.type === "image"
+          ? node.alt
+          : node.type === "footnoteRef"
+            ? ""
+            : node.type === "break"
+              ? "\n"
+              : node.value
+    )
+    .join("");
+
+/**
+ * Ids for in-document links: the slug of every top-level heading, matching
+ * the ones the generator's table of contents links to.
+ *
+ * @function headingSlugs
+ * @param {DocTree} tree
+ * @returns {{slugs: Map<DocNode, string>, titles: Map<string, string>}} Slug by
+ *   heading node, and heading text by slug
+ */
+export const headingSlugs = (tree) => {
+  const slugger = createSlugger();
+  const slugs = new Map();
+  const titles = new Map();
+  tree.children
+    .filter((node) => node.type === "heading")
+    .forEach((node) => {
+      const slug = slugger(plainInline(node.children));
+      slugs.set(node, slug);
+      titles.set(slug, plainInline(node.children));
+    });
+  return { slugs, titles };
+};
@@ -0,0 +1,651 @@
+/**
+ * @fileoverview Plain-text and markup exporters. Each one renders the same
+ * document tree (see document.js), so a generated document reads the same in
+ * every format.
+ *
+ * Formats without an equivalent for a construct fall back to the nearest
+ * thing: reStructuredText has no strikethrough, so struck text is plain, and
+ * LaTeX and BBCode link to images instead of embedding remote files.
+ */
+
+import { parseDocument, plainInline, headingSlugs } from "./document.js";
+import { ALERT_TITLES } from "./html.js";
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const WIDE = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]|\p{Extended_Pictographic}/u;
+
+// Monospace columns a string takes: CJK and emoji are two wide
+const displayWidth = (text) => {
+  let width = 0;
+  for (const { segment } of graphemes.segment(text)) width += WIDE.test(segment) ? 2 : 1;
+  return width;
+};
+
+// Prefixes the first line with `first` and the rest with `rest`; blank lines stay blank
+const indent = (text, first, rest = " ".repeat(first.length)) =>
+  text
+    .split("\n")
+    .map((line, i) => (line ? `${i === 0 ? first : rest}${line}` : line))
+    .join("\n");
+
+const joinBlocks = (parts) => parts.filter(Boolean).join("\n\n");
+
+// A paragraph holding nothing but an image is a block image
+const soleImage = (node) =>
+  node.type === "paragraph" && node.children.length === 1 && node.children[0].type === "image"
+    ? node.children[0]
+    : null;
+
+/**
+ * Builds an inline renderer from per-node rules. Formats whose markup only
+ * counts between spaces or punctuation (reStructuredText, Org) pass `glue`,
+ * which is put between a constrained node and a neighbouring character that
+ * would stop it from being recognized.
+ */
+const inlineRenderer = (rules, glue = null) => {
+  const render = (nodes) => {
+    const parts = nodes.map((node) => ({
+      text: node.type === "text" ? rules.text(node.value) : rules[node.type](node, render),
+      constrained: Boolean(glue?.types.includes(node.type)),
+    }));
+    return parts
+      .map((part, i) => {
+        const previous = parts[i - 1];
+        if (
+          glue &&
+          previous?.text &&
+          part.text &&
+          ((part.constrained && !glue.before.test(previous.text)) ||
+            (previous.constrained && !glue.after.test(part.text)))
+        ) {
+          return `${glue.text}${part.text}`;
+        }
+        return part.text;
+      })
+      .join("");
+  };
+  return render;
+};
+
+// Column widths and padded cells for text tables
+const padCell = (text, width, align) => {
+  const gap = width - displayWidth(text);
+  if (align === "right") return " ".repeat(gap) + text;
+  if (align === "center") {
+    return " ".repeat(Math.floor(gap / 2)) + text + " ".repeat(Math.ceil(gap / 2));
+  }
+  return text + " ".repeat(gap);
+};
+
+/**
+ * Plain text: no markup characters, titles underlined, lists indented and
+ * link targets in brackets after the link text.
+ */
+const toPlainText = (tree) => {
+  const inline = inlineRenderer({
+    text: (value) => value,
+    strong: (node, render) => render(node.children),
+    em: (node, render) => render(node.children),
+    strike: (node, render) => render(node.children),
+    inlineCode: (node) => node.value,
+    link: (node, render) =>
+      node.href.startsWith("#") ? render(node.children) : `${render(node.children)} [${node.href}]`,
+    image: (node) => `${node.alt} [${node.src}]`,
+    footnoteRef: (node) => `[${node.id + 1}]`,
+    break: () => "\n",
+  });
+
+  const UNDERLINES = { 1: "=", 2: "-" };
+
+  const table = (node) => {
+    const cells = [node.header, ...node.rows].map((row) => row.map(inline));
+    const widths = node.header.map((_, column) =>
+      Math.max(3, ...cells.map((row) => displayWidth(row[column] ?? "")))
+    );
+    const line = (row) =>
+      row.map((cell, column) => padCell(cell ?? "", widths[column], node.align[column])).join("  ").trimEnd();
+    return [
+      line(cells[0]),
+      widths.map((width) => "-".repeat(width)).join("  "),
+      ...cells.slice(1).map(line),
+    ].join("\n");
+  };
+
+  const blocks = (nodes) =>
+    joinBlocks(
+      nodes.map((node) => {
+        switch (node.type) {
+          case "heading": {
+            const text = inline(node.children);
+            const underline = UNDERLINES[node.level];
+            return underline ? `${text}\n${underline.repeat(displayWidth(text))}` : text;
+          }
+          case "paragraph":
+            return inline(node.children);
+          case "list":
+            return node.items
+              .map((item, i) => {
+                const marker = node.ordered ? `${node.start + i}. ` : "- ";
+                const task = item.checked === null ? "" : item.checked ? "[x] " : "[ ] ";
+                const body = item.children
+                  .map((child) => blocks([child]))
+                  .join(node.tight ? "\n" : "\n\n");
+                return indent(`${task}${body}`, marker);
+              })
+              .join(node.tight ? "\n" : "\n\n");
+          case "blockquote":
+            return indent(blocks(node.children), "    ");
+          case "alert":
+            return `${ALERT_TITLES[node.kind]}:\n${indent(blocks(node.children), "    ")}`;
+          case "code":
+            return indent(node.value, "    ");
+          case "table":
+            return table(node);
+          case "thematicBreak":
+            return "* * *";
+          case "definitionList":
+            return node.entries
+              .map(({ term, definitions }) =>
+                [inline(term), ...definitions.map((definition) => indent(blocks(definition), "    "))].join("\n")
+              )
+              .join("\n\n");
+          default:
+            return "";
+        }
+      })
+    );
+
+  const notes = tree.footnotes.map((note, id) => indent(blocks(note), `[${id + 1}] `));
+  return `${joinBlocks([blocks(tree.children), notes.length && `---\n\n${notes.join("\n")}`])}\n`;
+};
+
+const RST_UNDERLINES = ["=", "-", "~", "^", '"', "'"];
+
+/**
+ * reStructuredText, using directives for alerts (`.. note::`), code
+ * (`.. code-block::`) and tables (`.. list-table::`).
+ */
+const toRestructuredText = (tree) => {
+  const escape = (value) => value.replace(/([\\*`_|])/g, "\\$1");
+  const { titles } = headingSlugs(tree);
+  const inline = inlineRenderer(
+    {
+      text: escape,
+      strong: (node) => `**${escape(plainInline(node.children))}**`,
+      em: (node) => `*${escape(plainInline(node.children))}*`,
+      strike: (node, render) => render(node.children),
+      inlineCode: (node) => `\`\`${node.value}\`\``,
+      // Section titles are link targets in their own right
+      link: (node) =>
+        node.href.startsWith("#") && titles.has(node.href.slice(1))
+          ? `\`${escape(titles.get(node.href.slice(1)))}\`_`
+          : `\`${escape(plainInline(node.children))} <${node.href}>\`__`,
+      image: (node) => `\`${escape(node.alt)} <${node.src}>\`__`,
+      footnoteRef: (node) => `[${node.id + 1}]_`,
+      break: () => "\n",
+    },
+    {
+      types: ["strong", "em", "inlineCode", "link", "image", "footnoteRef"],
+      before: /[\s\-:/'"<([{]$/u,
+      after: /^[\s\-.,:;!?\\/'")\]}>]/u,
+      text: "\\ ",
+    }
+  );
+
+  const directive = (head, body, options = []) =>
+    [`.. ${head}`, ...options.map((option) => `   ${option}`), "", indent(body, "   ")].join("\n");
+
+  const blocks = (nodes) =>
+    joinBlocks(
+      nodes.map((node, i) => {
+        switch (node.type) {
+          case "heading": {
+            const text = inline(node.children);
+            return `${text}\n${RST_UNDERLINES[node.level - 1].repeat(displayWidth(text))}`;
+          }
+          case "paragraph": {
+            const image = soleImage(node);
+            if (!image) return inline(node.children);
+            return directive(`image:: ${image.src}`, "", [`:alt: ${image.alt}`]).trimEnd();
+          }
+          case "list": {
+            // Nested lists need blank lines around them
+            const spaced = !node.tight || node.items.some((item) => item.children.length > 1);
+            return node.items
+              .map((item, n) => {
+                const marker = node.ordered ? `${node.start + n}. ` : "- ";
+                const task = item.checked === null ? "" : item.checked ? "[x] " : "[ ] ";
+                return indent(`${task}${blocks(item.children)}`, marker);
+              })
+              .join(spaced ? "\n\n" : "\n");
+          }
+          case "blockquote": {
+            // An empty comment keeps the quote from joining a list just above it
+            const previous = nodes[i - 1]?.type;
+            const separator = previous === "list" || previous === "definitionList" ? "..\n\n" : "";
+            return `${separator}${indent(blocks(node.children), "    ")}`;
+          }
+          case "alert":
+            return directive(`${node.kind.toLowerCase()}::`, blocks(node.children));
+          case "code":
+            return node.lang
+              ? directive(`code-block:: ${node.lang}`, node.value)
+              : `::\n\n${indent(node.value, "    ")}`;
+          case "table": {
+            const row = (cells) =>
+              cells.map((cell, n) => indent(inline(cell) || "\\", n === 0 ? "* - " : "  - ")).join("\n");
+            return directive(
+              "list-table::",
+              [node.header, ...node.rows].map(row).join("\n"),
+              [":header-rows: 1"]
+            );
+          }
+          case "thematicBreak":
+            return "----";
+          case "definitionList":
+            return node.entries
+              .map(({ term, definitions }) =>
+                [inline(term), indent(joinBlocks(definitions.map(blocks)), "   ")].join("\n")
+              )
+              .join("\n\n");
+          default:
+            return "";
+        }
+      })
+    );
+
+  const notes = tree.footnotes.map((note, id) => indent(blocks(note), `.. [${id + 1}] `, "   "));
+  return `${joinBlocks([blocks(tree.children), notes.join("\n")])}\n`;
+};
+
+const ASCIIDOC_ALIGN = { left: "<", center: "^", right: ">" };
+
+/**
+ * AsciiDoc (Asciidoctor syntax). Footnotes are written inline with
+ * `footnote:[...]`, and headings get explicit ids so the table of contents
+ * links still resolve.
+ */
+const toAsciiDoc = (tree) => {
+  const { slugs } = headingSlugs(tree);
+  const bracket = (text) => text.replace(/]/g, "\\]");
+  let footnoteText = () => "";
+  const inline = inlineRenderer({
+    text: (value) => value,
+    strong: (node, render) => `**${render(node.children)}**`,
+    em: (node, render) => `__${render(node.children)}__`,
+    strike: (node, render) => `[.line-through]##${render(node.children)}##`,
+    inlineCode: (node) => `\`\`+${node.value}+\`\``,
+    link: (node, render) =>
+      node.href.startsWith("#")
+        ? `<<${node.href.slice(1)},${render(node.children)}>>`
+        : `link:${node.href}[${bracket(render(node.children))}]`,
+    image: (node) => `image:${node.src}[${bracket(node.alt)}]`,
+    // Links in the note are converted before the footnote macro, so their brackets are safe
+    footnoteRef: (node) => `footnote:[${footnoteText(node.id)}]`,
+    break: () => " +\n",
+  });
+  footnoteText = (id) => (tree.footnotes[id] ?? []).map((block) => inline(block.children ?? [])).join(" ");
+
+  // Nesting depth is the marker length: `*`, `**`, ... and `.`, `..`, ...
+  const list = (node, depth, quotes) => {
+    const lines = node.items.map((item) => {
+      const marker = (node.ordered ? "." : "*").repeat(depth);
+      const task = item.checked === null ? "" : item.checked ? "[x] " : "[ ] ";
+      const [first, ...rest] = item.children;
+      const parts = [`${marker} ${task}${first ? blocks([first], depth, quotes) : ""}`];
+      rest.forEach((child) =>
+        parts.push(
+          child.type === "list" ? list(child, depth + 1, quotes) : `+\n${blocks([child], depth, quotes)}`
+        )
+      );
+      return parts.join("\n");
+    });
+    const start = node.ordered && node.start !== 1 ? `[start=${node.start}]\n` : "";
+    return start + lines.join("\n");
+  };
+
+  // A delimiter closes the innermost open block that used the same one, so
+  // each level of quotes and alerts inside another gets a longer delimiter
+  const delimited = (char, quotes, body) => {
+    const delimiter = char.repeat(4 + quotes);
+    return `${delimiter}\n${body}\n${delimiter}`;
+  };
+
+  const blocks = (nodes, depth = 0, quotes = 0) =>
+    joinBlocks(
+      nodes.map((node) => {
+        switch (node.type) {
+          case "heading":
+            return `[#${slugs.get(node)}]\n${"=".repeat(node.level)} ${inline(node.children)}`;
+          case "paragraph": {
+            const image = soleImage(node);
+            if (!image) return inline(node.children);
+            const title = image.title ? `.${image.title}\n` : "";
+            return `${title}image::${image.src}[${bracket(image.alt)}]`;
+          }
+          case "list":
+            return list(node, depth + 1, quotes);
+          case "blockquote":
+            return delimited("_", quotes, blocks(node.children, 0, quotes + 1));
+          case "alert":
+            return `[${node.kind}]\n${delimited("=", quotes, blocks(node.children, 0, quotes + 1))}`;
+          case "code":
+            return `${node.lang ? `[source,${node.lang}]\n` : ""}----\n${node.value}\n----`;
+          case "table": {
+            const cols = node.align.map((align) => ASCIIDOC_ALIGN[align] ?? "1").join(",");
+            const row = (cells) => cells.map((cell) => `| ${inline(cell).replace(/\|/g, "\\|")}`).join(" ");
+            return [
+              `[cols="${cols}",options="header"]`,
+              "|===",
+              row(node.header),
+              "",
+              ...node.rows.map(row),
+              "|===",
+            ].join("\n");
+          }
+          case "thematicBreak":
+            return "'''";
+          case "definitionList":
+            return node.entries
+              .map(({ term, definitions }) =>
+                `${inline(term)}::\n${definitions.map((definition) => blocks(definition, 0, quotes)).join("\n+\n")}`
+              )
+              .join("\n");
+          default:
+            return "";
+        }
+      })
+    );
+
+  return `${blocks(tree.children)}\n`;
+};
+
+/**
+ * Org-mode. In-document links point at headings by title, and footnote
+ * definitions follow the text.
+ */
+const toOrg = (tree) => {
+  const { titles } = headingSlugs(tree);
+  const inline = inlineRenderer(
+    {
+      text: (value) => value,
+      strong: (node, render) => `*${render(node.children)}*`,
+      em: (node, render) => `/${render(node.children)}/`,
+      strike: (node, render) => `+${render(node.children)}+`,
+      inlineCode: (node) => (node.value.includes("~") ? `=${node.value}=` : `~${node.value}~`),
+      link: (node, render) =>
+        node.href.startsWith("#") && titles.has(node.href.slice(1))
+          ? `[[*${titles.get(node.href.slice(1))}][${render(node.children)}]]`
+          : `[[${node.href}][${render(node.children)}]]`,
+      image: (node) => `[[${node.src}][${node.alt}]]`,
+      footnoteRef: (node) => `[fn:${node.id + 1}]`,
+      break: () => "\\\\\n",
+    },
+    {
+      types: ["strong", "em", "strike", "inlineCode"],
+      before: /[\s\-({'"]$/u,
+      after: /^[\s\-.,;:!?')}[\]"\\]/u,
+      // A zero-width space gives emphasis the border it needs without showing
+      text: "\u200B",
+    }
+  );
+
+  const blocks = (nodes) =>
+    joinBlocks(
+      nodes.map((node) => {
+        switch (node.type) {
+          case "heading":
+            return `${"*".repeat(node.level)} ${inline(node.children)}`;
+          case "paragraph": {
+            const image = soleImage(node);
+            if (!image) return inline(node.children);
+            return `${image.title ? `#+CAPTION: ${image.title}\n` : ""}[[${image.src}]]`;
+          }
+          case "list":
+            return node.items
+              .map((item, i) => {
+                const marker = node.ordered ? `${node.start + i}. ` : "- ";
+                const task = item.checked === null ? "" : item.checked ? "[X] " : "[ ] ";
+                const body = item.children.map((child) => blocks([child])).join(node.tight ? "\n" : "\n\n");
+                return indent(`${task}${body}`, marker);
+              })
+              .join(node.tight ? "\n" : "\n\n");
+          case "blockquote":
+            return `#+BEGIN_QUOTE\n${blocks(node.children)}\n#+END_QUOTE`;
+          case "alert":
+            return `#+BEGIN_${node.kind}\n${blocks(node.children)}\n#+END_${node.kind}`;
+          case "code":
+            // Lines starting with `*` or `#+` would end the block; Org escapes them with a comma
+            return `#+BEGIN_SRC${node.lang ? ` ${node.lang}` : ""}\n${node.value.replace(
+              /^(,*(?:\*|#\+))/gm,
+              ",$1"
+            )}\n#+END_SRC`;
+          case "table": {
+            const row = (cells) => `| ${cells.map((cell) => inline(cell).replace(/\|/g, "\\vert{}")).join(" | ")} |`;
+            const rule = `|${node.header.map(() => "---").join("+")}|`;
+            return [row(node.header), rule, ...node.rows.map(row)].join("\n");
+          }
+          case "thematicBreak":
+            return "-----";
+          case "definitionList":
+            return node.entries
+              .map(({ term, definitions }) =>
+                indent(`${inline(term)} :: ${definitions.map((definition) => blocks(definition)).join("\n")}`, "- ")
+              )
+              .join("\n");
+          default:
+            return "";
+        }
+      })
+    );
+
+  const notes = tree.footnotes.map((note, id) => `[fn:${id + 1}] ${blocks(note)}`);
+  return `${joinBlocks([blocks(tree.children), notes.join("\n")])}\n`;
+};
+
+const LATEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "{": "\\{",
+  "}": "\\}",
+  $: "\\$",
+  "&": "\\&",
+  "#": "\\#",
+  "^": "\\textasciicircum{}",
+  _: "\\_",
+  "%": "\\%",
+  "~": "\\textasciitilde{}",
+};
+
+const latexEscape = (value) => value.replace(/[\\{}$&#^_%~]/g, (char) => LATEX_ESCAPES[char]);
+
+const LATEX_SECTIONS = ["section", "subsection", "subsubsection", "paragraph", "subparagraph", "subparagraph"];
+const LATEX_ALIGN = { left: "l", center: "c", right: "r" };
+
+const LATEX_PREAMBLE = String.raw`\documentclass{article}
+\usepackage{iftex}
+\ifPDFTeX
+  \usepackage[utf8]{inputenc}
+  \usepackage[T1]{fontenc}
+\else
+  \usepackage{fontspec}
+\fi
+\usepackage[normalem]{ulem}
+\usepackage{amssymb}
+\usepackage{hyperref}
+
+\begin{document}`;
+
+/**
+ * A standalone LaTeX document. Remote images become links, since LaTeX can
+ * only include local files, and footnotes are written inline with
+ * `\footnote`. Compiles with pdfLaTeX for Latin-script text; other scripts
+ * need XeLaTeX or LuaLaTeX and a suitable font.
+ */
+const toLatex = (tree) => {
+  const { slugs } = headingSlugs(tree);
+  const url = (href) => href.replace(/[\\#%]/g, "\\$&");
+  let footnoteText = () => "";
+  const inline = inlineRenderer({
+    text: latexEscape,
+    strong: (node, render) => `\\textbf{${render(node.children)}}`,
+    em: (node, render) => `\\emph{${render(node.children)}}`,
+    strike: (node, render) => `\\sout{${render(node.children)}}`,
+    inlineCode: (node) => `\\texttt{${latexEscape(node.value)}}`,
+    link: (node, render) =>
+      node.href.startsWith("#")
+        ? `\\hyperref[${node.href.slice(1)}]{${render(node.children)}}`
+        : `\\href{${url(node.href)}}{${render(node.children)}}`,
+    image: (node) => `\\href{${url(node.src)}}{${latexEscape(node.alt)}}`,
+    footnoteRef: (node) => `\\footnote{${footnoteText(node.id)}}`,
+    break: () => "\\\\\n",
+  });
+  footnoteText = (id) => (tree.footnotes[id] ?? []).map((block) => inline(block.children ?? [])).join(" ");
+
+  const environment = (name, body, argument = "") => `\\begin{${name}}${argument}\n${body}\n\\end{${name}}`;
+
+  // LaTeX nests lists four deep; deeper items stay at the fourth level
+  const list = (node, depth) => {
+    const items = node.items.map((item) => {
+      const label = item.checked === null ? "" : item.checked ? "[$\\boxtimes$]" : "[$\\square$]";
+      return `\\item${label} ${blocks(item.children, depth)}`;
+    });
+    if (depth > 4) return items.join("\n");
+    return environment(node.ordered ? "enumerate" : "itemize", indent(items.join("\n"), "  "));
+  };
+
+  const blocks = (nodes, depth = 0) =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "heading":
+            return `\\${LATEX_SECTIONS[node.level - 1]}{${inline(node.children)}}\\label{${slugs.get(node)}}`;
+          case "paragraph":
+            return inline(node.children);
+          case "list":
+            return list(node, depth + 1);
+          case "blockquote":
+            return environment("quote", blocks(node.children));
+          case "alert":
+            return environment("quote", `\\textbf{${ALERT_TITLES[node.kind]}.} ${blocks(node.children)}`);
+          case "code":
+            return environment("verbatim", node.value);
+          case "table": {
+            const row = (cells) => `${cells.map(inline).join(" & ")} \\\\`;
+            const spec = `{${node.align.map((align) => LATEX_ALIGN[align] ?? "l").join("")}}`;
+            return environment(
+              "center",
+              environment("tabular", [row(node.header), "\\hline", ...node.rows.map(row)].join("\n"), spec)
+            );
+          }
+          case "thematicBreak":
+            return environment("center", "\\rule{0.5\\linewidth}{0.4pt}");
+          case "definitionList":
+            return environment(
+              "description",
+              node.entries
+                .map(({ term, definitions }) => `  \\item[${inline(term)}] ${definitions.map((d) => blocks(d, depth)).join("\n\n")}`)
+                .join("\n")
+            );
+          default:
+            return "";
+        }
+      })
+      .filter(Boolean)
+      .join(depth ? "\n" : "\n\n");
+
+  return `${LATEX_PREAMBLE}\n\n${blocks(tree.children)}\n\n\\end{document}\n`;
+};
+
+const BBCODE_SIZES = { 1: 200, 2: 170, 3: 150, 4: 130, 5: 115, 6: 100 };
+
+/**
+ * BBCode as most forums read it. Heading sizes are percentages (phpBB style)
+ * and footnotes are numbered notes after a rule.
+ */
+const toBBCode = (tree) => {
+  const inline = inlineRenderer({
+    text: (value) => value,
+    strong: (node, render) => `[b]${render(node.children)}[/b]`,
+    em: (node, render) => `[i]${render(node.children)}[/i]`,
+    strike: (node, render) => `[s]${render(node.children)}[/s]`,
+    inlineCode: (node) => `[font=monospace]${node.value}[/font]`,
+    // BBCode has no in-page anchors
+    link: (node, render) =>
+      node.href.startsWith("#") ? render(node.children) : `[url=${node.href}]${render(node.children)}[/url]`,
+    image: (node) => `[img]${node.src}[/img]`,
+    footnoteRef: (node) => `[${node.id + 1}]`,
+    break: () => "\n",
+  });
+
+  const blocks = (nodes) =>
+    joinBlocks(
+      nodes.map((node) => {
+        switch (node.type) {
+          case "heading":
+            return `[size=${BBCODE_SIZES[node.level]}][b]${inline(node.children)}[/b][/size]`;
+          case "paragraph":
+            return inline(node.children);
+          case "list": {
+            const items = node.items.map((item) => {
+              const task = item.checked === null ? "" : item.checked ? "☑ " : "☐ ";
+              return `[*]${task}${item.children.map((child) => blocks([child])).join("\n")}`;
+            });
+            return `[list${node.ordered ? "=1" : ""}]\n${items.join("\n")}\n[/list]`;
+          }
+          case "blockquote":
+            return `[quote]${blocks(node.children)}[/quote]`;
+          case "alert":
+            return `[quote][b]${ALERT_TITLES[node.kind]}[/b]\n${blocks(node.children)}[/quote]`;
+          case "code":
+            return `[code]${node.value}[/code]`;
+          case "table": {
+            const row = (cells, tag) => `[tr]${cells.map((cell) => `[${tag}]${inline(cell)}[/${tag}]`).join("")}[/tr]`;
+            return ["[table]", row(node.header, "th"), ...node.rows.map((cells) => row(cells, "td")), "[/table]"].join("\n");
+          }
+          case "thematicBreak":
+            return "[hr]";
+          case "definitionList":
+            return node.entries
+              .map(({ term, definitions }) => [`[b]${inline(term)}[/b]`, ...definitions.map(blocks)].join("\n"))
+              .join("\n\n");
+          default:
+            return "";
+        }
+      })
+    );
+
+  const notes = tree.footnotes.map((note, id) => `[${id + 1}] ${blocks(note)}`);
+  return `${joinBlocks([blocks(tree.children), notes.length && `[hr]\n${notes.join("\n")}`])}\n`;
+};
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} label - Human-readable name
+ * @property {string} extension - File extension, with the dot
+ * @property {string} mimeType - Content type for downloads and the API
+ * @property {function(DocTree): string} render
+ */
+
+/**
+ * @constant {Object<string, ExportFormat>} EXPORT_FORMATS
+ * @description Exporters keyed by the `format` value the CLI and API accept.
+ */
+export const EXPORT_FORMATS = Object.freeze({
+  txt: { label: "Plain text", extension: ".txt", mimeType: "text/plain", render: toPlainText },
+  rst: { label: "reStructuredText", extension: ".rst", mimeType: "text/x-rst", render: toRestructuredText },
+  adoc: { label: "AsciiDoc", extension: ".adoc", mimeType: "text/asciidoc", render: toAsciiDoc },
+  org: { label: "Org-mode", extension: ".org", mimeType: "text/x-org", render: toOrg },
+  tex: { label: "LaTeX", extension: ".tex", mimeType: "application/x-tex", render: toLatex },
+  bbcode: { label: "BBCode", extension: ".bbcode", mimeType: "text/plain", render: toBBCode },
+});
+
+/**
+ * Converts generated markdown to another format. Front matter is dropped.
+ *
+ * @function exportMarkdown
+ * @param {string} markdown
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {string}
+ */
+export const exportMarkdown = (markdown, format) =>
+  EXPORT_FORMATS[format].render(parseDocument(markdown));
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Front matter serialization for static site generators
+ * (YAML for Nuxt Content and Eleventy, TOML and JSON for Hugo).
+ */
+
+/**
+ * @constant {string[]} FRONT_MATTER_FORMATS
+ * @description Formats accepted by the `frontMatter` option, besides "none".
+ */
+export const FRONT_MATTER_FORMATS = ["yaml", "toml", "json"];
+
+// Bare keys need no quoting in YAML or TOML; anything else is quoted
+const formatKey = (key) => (/^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key));
+
+// Dates are written unquoted so YAML and TOML parse them as dates
+const formatScalar = (value) =>
+  value instanceof Date
+    ? value.toISOString().slice(0, 10)
+    : typeof value === "string"
+      ? JSON.stringify(value)
+      : String(value);
+
+const toYaml = (entries) => {
+  const lines = entries.map(([key, value]) =>
+    Array.isArray(value)
+      ? `${formatKey(key)}:\n${value.map((item) => `  - ${formatScalar(item)}`).join("\n")}`
+      : `${formatKey(key)}: ${formatScalar(value)}`
+  );
+  return `---\n${lines.join("\n")}\n---`;
+};
+
+const toToml = (entries) => {
+  const lines = entries.map(([key, value]) =>
+    Array.isArray(value)
+      ? `${formatKey(key)} = [${value.map(formatScalar).join(", ")}]`
+      : `${formatKey(key)} = ${formatScalar(value)}`
+  );
+  return `+++\n${lines.join("\n")}\n+++`;
+};
+
+const toJson = (entries) =>
+  JSON.stringify(
+    Object.fromEntries(
+      entries.map(([key, value]) => [
+        key,
+        value instanceof Date ? value.toISOString().slice(0, 10) : value,
+      ])
+    ),
+    null,
+    2
+  );
+
+/**
+ * Serializes front matter fields in the requested format.
+ *
+ * @function serializeFrontMatter
+ * @param {string} format - "yaml", "toml" or "json"
+ * @param {Array<[string, string|boolean|Date|string[]]>} entries - Key/value pairs, in output order
+ * @returns {string} The front matter block, without a trailing newline
+ */
+export const serializeFrontMatter = (format, entries) => {
+  if (format === "toml") return toToml(entries);
+  if (format === "json") return toJson(entries);
+  return toYaml(entries);
+};
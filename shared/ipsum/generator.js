@@ -0,0 +1,1340 @@
+/**
+ * @fileoverview Framework-free markdown placeholder generator.
+ *
+ * This is the generator behind the Ipsumify website. It has no dependency on
+ * Vue or Nuxt, so tests, stories and Node scripts can call exactly the same
+ * code the page uses.
+ *
+ * @example
+ * import { generate } from "./shared/ipsum/index.js";
+ *
+ * const { markdown, blocks, seed } = generate({ numBlocks: 4, seed: "42" });
+ */
+
+import { createRandom, seedToNumber, newSeed } from "./random.js";
+import { createSlugger } from "./slug.js";
+import { FRONT_MATTER_FORMATS, serializeFrontMatter } from "./front-matter.js";
+import { VOCABULARIES, resolveVocabulary } from "./vocabularies.js";
+import { SCRIPTS, SCRIPT_NAMES } from "./scripts.js";
+import { CODE_LANGUAGE_NAMES, generateSnippet } from "./code.js";
+import {
+  LENGTH_UNITS,
+  LENGTH_LIMITS,
+  WORDS_PER_MINUTE,
+  countCharacters,
+} from "./length.js";
+
+/**
+ * @typedef {Object} GeneratorOptions
+ * @property {boolean} noHeaders - Omit the main heading and subheadings
+ * @property {boolean} noCodeSnippets - Omit code snippets
+ * @property {boolean} noInlineMarkup - Omit all inline markup (bold, italic, code, strikethrough and in-sentence links)
+ * @property {boolean} noBlockquotes - Omit blockquotes and alert callouts
+ * @property {boolean} noLists - Omit lists
+ * @property {boolean} noExternalLinks - Omit links
+ * @property {boolean} noWrapping - Display hint for the page; ignored by the generator
+ * @property {boolean} capitalizeSentences - Capitalize the first word of each sentence
+ * @property {boolean} underlinedHeaders - Use setext (`===`/`---`) headings for levels 1 and 2
+ * @property {boolean} referenceLinks - Use reference-style links
+ * @property {boolean} emStyle - Write emphasis as `_em_` instead of `*em*`
+ * @property {boolean} strongStyle - Write strong text as `__strong__` instead of `**strong**`
+ * @property {boolean} codeBlocks - Use fenced code blocks instead of inline code
+ * @property {string[]} codeLanguages - Keys of CODE_LANGUAGES to draw snippets from; empty means
+ *   all of them. Also accepts a `"go,rust"` string.
+ * @property {number} codeMinLines - Fewest lines in a fenced code block, 1 to 40
+ * @property {number} codeMaxLines - Most lines in a fenced code block, up to 40
+ * @property {boolean} syntaxHighlighting - Highlight code in HTML output; ignored by the generator
+ * @property {string} listType - "unordered", "ordered", "task" or "mixed" (a random type per list)
+ * @property {string} bulletStyle - Bullet marker for unordered and task lists: "*", "-" or "+"
+ * @property {number} listMaxDepth - Deepest list nesting level, 1 (flat) to 5
+ * @property {boolean} looseLists - Separate list items with blank lines
+ * @property {boolean} tables - Include GFM tables
+ * @property {number} tableRows - Body rows per table, 1 to 20
+ * @property {number} tableColumns - Columns per table, 2 to 8
+ * @property {boolean} images - Include images (inline or reference style, following `referenceLinks`)
+ * @property {boolean} thematicBreaks - Include thematic breaks (`---`, `***`, `___`)
+ * @property {boolean} footnotes - Add footnote references, with definitions collected at the end
+ * @property {boolean} definitionLists - Include definition lists (Markdown Extra / Pandoc syntax)
+ * @property {number} headingMinLevel - Level of the main heading, 1 to 6; subheadings start one below it
+ * @property {number} headingMaxLevel - Deepest subheading level, up to 6
+ * @property {Object<string, number>} frequencies - How often each element appears, 0 (never) to
+ *   100, keyed by ELEMENT_TYPES. Block elements are a chance per paragraph block; `inlineMarkup`
+ *   is per word and `footnotes` per sentence. Also accepts a `"links=100,code=0"` string.
+ * @property {string} placement - "regular" (block elements every round(100 / frequency) blocks)
+ *   or "random" (each block draws against the frequency)
+ * @property {boolean} tableOfContents - Add a linked table of contents after the main heading
+ * @property {string} frontMatter - "none", "yaml", "toml" or "json"
+ * @property {Object<string, string>} frontMatterKeys - Output key for each front matter field
+ *   (`title`, `description`, `date`, `author`, `tags`, `draft`); an empty key omits the field.
+ *   Also accepts a `"date=published,draft="` string. A key already used by an earlier field
+ *   omits the later one.
+ * @property {string} vocabulary - A key of VOCABULARIES ("latin", "classic", "english", "legal",
+ *   "government", "criminalJustice") or "custom"
+ * @property {string} customWords - Word list for the "custom" vocabulary, separated by
+ *   whitespace, commas or semicolons
+ * @property {string} script - "none" (use `vocabulary`), a key of SCRIPTS ("chinese", "arabic",
+ *   "thai", ...) or "mixed" (a random script per paragraph, heading and list item)
+ * @property {number} numBlocks - Number of paragraph blocks, 1 to 10
+ * @property {string} lengthUnit - "blocks" (use `numBlocks`), "words", "characters", "sentences",
+ *   "paragraphs" or "minutes" (reading time at WORDS_PER_MINUTE)
+ * @property {number} lengthTarget - Exact amount of body copy in `lengthUnit`; ignored for "blocks"
+ * @property {string} seed - PRNG seed; empty picks a fresh one
+ */
+
+/**
+ * @typedef {Object} Block
+ * @property {string} type - "heading", "paragraph", "blockquote", "list", "table", "definitionList",
+ *   "image", "thematicBreak", "code", "link", "footnotes", "toc" or "frontMatter"
+ * @property {string} markdown - Markdown source of the block, including trailing blank lines
+ * @property {number} [level] - Heading level (heading)
+ * @property {string} [text] - Heading, paragraph or link text
+ * @property {string} [variant] - "single", "multi", "nested", "attribution" or "alert" (blockquote)
+ * @property {string[]} [paragraphs] - Quoted paragraphs (blockquote)
+ * @property {string[]} [nested] - Paragraphs of the inner quote (blockquote, nested variant)
+ * @property {string} [attribution] - Attribution line text (blockquote)
+ * @property {string} [alert] - GFM alert type such as "NOTE" (blockquote, alert variant)
+ * @property {string} [listType] - "unordered", "ordered" or "task" (list)
+ * @property {boolean} [loose] - Whether items are separated by blank lines (list)
+ * @property {ListItem[]} [items] - List items (list)
+ * @property {Array<string|null>} [align] - Per-column "left", "center", "right" or null (table)
+ * @property {string[]} [header] - Header cells (table)
+ * @property {string[][]} [rows] - Body cells, row by row (table)
+ * @property {Array<{term: string, definitions: string[]}>|Array<{label: string, text: string}>} [items]
+ *   - Entries (definitionList, footnotes)
+ * @property {string} [alt] - Alt text (image)
+ * @property {string} [src] - Image URL (image)
+ * @property {string} [title] - Image title (image)
+ * @property {string} [marker] - `---`, `***` or `___` (thematicBreak)
+ * @property {Array<{level: number, text: string, slug: string}>} [entries] - Linked subheadings (toc)
+ * @property {string} [format] - "yaml", "toml" or "json" (frontMatter)
+ * @property {Object} [data] - Field values keyed by output key (frontMatter)
+ * @property {string} [lang] - Language tag (code)
+ * @property {string} [code] - Source code (code)
+ * @property {boolean} [inline] - Whether the code is rendered inline (code)
+ * @property {string} [href] - Link target (link)
+ * @property {string} [label] - Reference label (link and image, reference style only)
+ */
+
+/**
+ * @typedef {Object} ListItem
+ * @property {string} text - Item text, may contain inline markup
+ * @property {boolean} [checked] - Task state (task lists only)
+ * @property {ListItem[]} [children] - Nested list of the same type
+ */
+
+/**
+ * @typedef {Object} GenerateResult
+ * @property {string} markdown - The complete markdown document
+ * @property {Block[]} blocks - The document as a list of blocks, in order
+ * @property {string} seed - The seed that reproduces this document
+ * @property {GeneratorOptions} options - The normalized options that were used
+ * @property {{unit: string, requested: number, achieved: number}} length - Requested and
+ *   generated size in `options.lengthUnit`
+ */
+
+/**
+ * @constant {GeneratorOptions} DEFAULT_OPTIONS
+ * @description Defaults used by the page, its Reset button and `generate()`.
+ */
+export const DEFAULT_OPTIONS = Object.freeze({
+  noHeaders: false,
+  noCodeSnippets: false,
+  noInlineMarkup: false,
+  noBlockquotes: false,
+  noLists: false,
+  noExternalLinks: false,
+  noWrapping: false,
+  capitalizeSentences: false,
+  underlinedHeaders: false,
+  referenceLinks: false,
+  emStyle: false,
+  strongStyle: false,
+  codeBlocks: false,
+  codeLanguages: Object.freeze([]),
+  codeMinLines: 3,
+  codeMaxLines: 12,
+  syntaxHighlighting: false,
+  listType: "mixed",
+  bulletStyle: "*",
+  listMaxDepth: 2,
+  looseLists: false,
+  tables: false,
+  tableRows: 4,
+  tableColumns: 3,
+  images: false,
+  thematicBreaks: false,
+  footnotes: false,
+  definitionLists: false,
+  headingMinLevel: 1,
+  headingMaxLevel: 3,
+  tableOfContents: false,
+  frequencies: Object.freeze({
+    blockquotes: 25,
+    lists: 25,
+    tables: 33,
+    code: 20,
+    definitionLists: 20,
+    images: 25,
+    links: 33,
+    thematicBreaks: 20,
+    inlineMarkup: 8,
+    footnotes: 6,
+  }),
+  placement: "regular",
+  frontMatter: "none",
+  frontMatterKeys: Object.freeze({
+    title: "title",
+    description: "description",
+    date: "date",
+    author: "author",
+    tags: "tags",
+    draft: "draft",
+  }),
+  vocabulary: "latin",
+  customWords: "",
+  script: "none",
+  numBlocks: 10,
+  lengthUnit: "blocks",
+  lengthTarget: 300,
+  seed: "",
+});
+
+/**
+ * @constant {string[]} ELEMENT_TYPES
+ * @description Keys of the `frequencies` option.
+ */
+export const ELEMENT_TYPES = Object.keys(DEFAULT_OPTIONS.frequencies);
+
+/**
+ * @constant {string[]} PLACEMENTS
+ * @description Values of the `placement` option.
+ */
+export const PLACEMENTS = ["regular", "random"];
+
+/**
+ * @constant {string[]} LIST_TYPES
+ * @description List kinds accepted by the `listType` option, besides "mixed".
+ */
+export const LIST_TYPES = ["unordered", "ordered", "task"];
+
+/**
+ * @constant {string[]} BULLET_STYLES
+ * @description Markers accepted by the `bulletStyle` option.
+ */
+export const BULLET_STYLES = ["*", "-", "+"];
+
+/**
+ * @constant {Object<string, string[]>} OPTION_CHOICES
+ * @description Accepted values of each option that takes one of a fixed set.
+ */
+export const OPTION_CHOICES = Object.freeze({
+  lengthUnit: LENGTH_UNITS,
+  listType: ["mixed", ...LIST_TYPES],
+  bulletStyle: BULLET_STYLES,
+  frontMatter: ["none", ...FRONT_MATTER_FORMATS],
+  placement: PLACEMENTS,
+  vocabulary: ["custom", ...Object.keys(VOCABULARIES)],
+  script: ["none", "mixed", ...SCRIPT_NAMES],
+});
+
+/**
+ * @constant {Object<string, number[]>} OPTION_RANGES
+ * @description `[min, max]` of each whole-number option. `codeMaxLines` and
+ *   `headingMaxLevel` are also kept at or above their minimum counterparts.
+ */
+export const OPTION_RANGES = Object.freeze({
+  numBlocks: [1, 10],
+  codeMinLines: [1, 40],
+  codeMaxLines: [1, 40],
+  listMaxDepth: [1, 5],
+  tableRows: [1, 20],
+  tableColumns: [2, 8],
+  headingMinLevel: [1, 6],
+  headingMaxLevel: [1, 6],
+});
+
+// Accepts `{ date: "published" }` or the CLI/query form "date=published,draft="
+const parseFieldMap = (value) => {
+  if (value && typeof value === "object") return value;
+  if (typeof value !== "string") return {};
+  return Object.fromEntries(
+    value
+      .split(",")
+      .filter((pair) => pair.includes("="))
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+  );
+};
+
+/**
+ * Merges user options over the defaults and coerces the numeric and seed
+ * fields, so callers can pass partial or loosely typed objects.
+ *
+ * @function normalizeOptions
+ * @param {Partial<GeneratorOptions>} [options={}]
+ * @returns {GeneratorOptions}
+ */
+export const normalizeOptions = (options = {}) => {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+  // Non-numeric input falls back to the default; numbers are clamped to range
+  const toInteger = (key, min = OPTION_RANGES[key][0]) => {
+    const value = Math.floor(Number(merged[key]));
+    merged[key] = Number.isFinite(value)
+      ? Math.min(OPTION_RANGES[key][1], Math.max(min, value))
+      : DEFAULT_OPTIONS[key];
+  };
+  for (const [key, choices] of Object.entries(OPTION_CHOICES)) {
+    if (!choices.includes(merged[key])) merged[key] = DEFAULT_OPTIONS[key];
+  }
+  toInteger("numBlocks");
+  // Reading time may be fractional (tenths of a minute); every other unit is whole
+  const target = Number(merged.lengthTarget);
+  const step = merged.lengthUnit === "minutes" ? 10 : 1;
+  merged.lengthTarget =
+    Number.isFinite(target) && target > 0
+      ? Math.max(1 / step, Math.round(target * step) / step)
+      : DEFAULT_OPTIONS.lengthTarget;
+  merged.lengthTarget = Math.min(
+    LENGTH_LIMITS[merged.lengthUnit] ?? Infinity,
+    merged.lengthTarget
+  );
+  toInteger("codeMinLines");
+  toInteger("codeMaxLines", merged.codeMinLines);
+  const languages =
+    typeof merged.codeLanguages === "string"
+      ? merged.codeLanguages.split(",").map((name) => name.trim())
+      : Array.isArray(merged.codeLanguages)
+        ? merged.codeLanguages
+        : [];
+  merged.codeLanguages = CODE_LANGUAGE_NAMES.filter((name) => languages.includes(name));
+  toInteger("listMaxDepth");
+  toInteger("tableRows");
+  toInteger("tableColumns");
+  toInteger("headingMinLevel");
+  toInteger("headingMaxLevel", merged.headingMinLevel);
+  merged.frontMatterKeys = {
+    ...DEFAULT_OPTIONS.frontMatterKeys,
+    ...parseFieldMap(merged.frontMatterKeys),
+  };
+  // Two fields under one key would write it twice; the later field is omitted
+  const usedKeys = new Set();
+  for (const field of Object.keys(DEFAULT_OPTIONS.frontMatterKeys)) {
+    const key = merged.frontMatterKeys[field];
+    if (!key) continue;
+    if (usedKeys.has(key)) merged.frontMatterKeys[field] = "";
+    else usedKeys.add(key);
+  }
+  const frequencies = parseFieldMap(merged.frequencies);
+  merged.frequencies = Object.fromEntries(
+    ELEMENT_TYPES.map((element) => {
+      const value = Math.round(Number(frequencies[element]));
+      return [
+        element,
+        frequencies[element] !== "" && Number.isFinite(value)
+          ? Math.min(100, Math.max(0, value))
+          : DEFAULT_OPTIONS.frequencies[element],
+      ];
+    })
+  );
+  merged.customWords = merged.customWords == null ? "" : String(merged.customWords);
+  merged.seed = merged.seed == null ? "" : String(merged.seed).trim();
+  return merged;
+};
+
+/**
+ * Language of the text the options generate, for the `lang` and `dir` of
+ * exported documents.
+ *
+ * @function documentLanguage
+ * @param {Partial<GeneratorOptions>} [options={}]
+ * @returns {{lang: string, dir: string}|{}} Empty when the language varies ("mixed" script)
+ *   or is unknown (custom words), leaving it to detection
+ */
+export const documentLanguage = (options = {}) => {
+  const { script, vocabulary, customWords } = normalizeOptions(options);
+  if (SCRIPTS[script]) return { lang: SCRIPTS[script].lang, dir: SCRIPTS[script].dir };
+  if (script === "mixed") return {};
+  const { lang } = resolveVocabulary({ vocabulary, customWords });
+  return lang ? { lang, dir: "ltr" } : {};
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// Vocabulary for a run of text; "mixed" switches script on every call
+const textVocabulary = (ctx) =>
+  ctx.options.script === "mixed"
+    ? SCRIPTS[pick(ctx.random, SCRIPT_NAMES)]
+    : ctx.vocabulary;
+
+// Scripts like Chinese and Thai write words without spaces between them
+const separatorOf = (vocabulary) => vocabulary.separator ?? " ";
+
+const generateRandomHeading = (ctx) => {
+  const { random } = ctx;
+  const vocabulary = textVocabulary(ctx);
+  const { headingWords } = vocabulary;
+  const getRandomWord = () =>
+    headingWords[Math.floor(random() * headingWords.length)];
+  // Small custom vocabularies cannot fill a long heading with distinct words
+  const length = Math.min(Math.floor(random() * 7) + 4, headingWords.length);
+  const words = [];
+  while (words.length < length) {
+    const word = getRandomWord();
+    if (!words.includes(word)) {
+      words.push(word);
+    }
+  }
+  return words.join(separatorOf(vocabulary));
+};
+
+// Two distinct heading words, used for names, table headers and terms
+const generateName = ({ random, vocabulary }) => {
+  const first = pick(random, vocabulary.headingWords);
+  let second = pick(random, vocabulary.headingWords);
+  while (second === first) second = pick(random, vocabulary.headingWords);
+  return `${first} ${second}`;
+};
+
+const getRandomInt = (random, min, max) =>
+  Math.floor(random() * (max - min + 1)) + min;
+
+// Where each block element falls in the "regular" rhythm: block i gets it when
+// i % period equals this offset, so elements with the same period don't all
+// land on the same blocks
+const RHYTHM_OFFSETS = {
+  blockquotes: 3,
+  lists: 1,
+  tables: 2,
+  code: 2,
+  definitionLists: 3,
+  images: 2,
+  links: 0,
+  thematicBreaks: 4,
+};
+
+// Whether a block element follows paragraph block i
+const placeElement = ({ options, random }, element, i) => {
+  const frequency = options.frequencies[element];
+  if (frequency <= 0) return false;
+  if (options.placement === "random") return random() < frequency / 100;
+  const period = Math.round(100 / frequency);
+  return i % period === RHYTHM_OFFSETS[element] % period;
+};
+
+const ALERT_TYPES = ["NOTE", "TIP", "IMPORTANT", "WARNING", "CAUTION"];
+
+const BLOCKQUOTE_VARIANTS = ["single", "multi", "nested", "attribution", "alert"];
+
+// Inline or reference-style link; reference definitions wait on ctx.references
+const linkMarkup = (ctx, text) => {
+  ctx.linkCount += 1;
+  const label = `link${ctx.linkCount}`;
+  const href = `https://example.com/${label}`;
+  if (ctx.options.referenceLinks) {
+    ctx.references.push(`[${label}]: ${href}`);
+    return `[${text}][${label}]`;
+  }
+  return `[${text}](${href})`;
+};
+
+/**
+ * Wraps random runs of words in bold, italic, inline code, strikethrough or
+ * link markup. `emStyle`/`strongStyle` pick `_`/`__` over `*`/`**`. Links
+ * follow `referenceLinks`; their definitions are collected on `ctx.references`
+ * for the enclosing block to emit. Without spaces between words, `_` cannot
+ * open or close emphasis, so `*` is always used there, and spans never touch
+ * (`**a****b**` would not parse as two).
+ */
+const applyInlineMarkup = (ctx, words, separator = " ") => {
+  const { options, random } = ctx;
+  const spaced = separator !== "";
+  const em = options.emStyle && spaced ? "_" : "*";
+  const strong = options.strongStyle && spaced ? "__" : "**";
+  const kinds = ["strong", "em", "code", "strike"];
+  if (!options.noExternalLinks) kinds.push("link");
+
+  const result = [];
+  let marked = false;
+  for (let i = 0; i < words.length; i++) {
+    if (random() >= options.frequencies.inlineMarkup / 100 || (marked && !spaced)) {
+      result.push(words[i]);
+      marked = false;
+      continue;
+    }
+    marked = true;
+    const kind = pick(random, kinds);
+    const span =
+      kind === "code" ? 1 : getRandomInt(random, 1, Math.min(3, words.length - i));
+    const text = words.slice(i, i + span).join(separator);
+    i += span - 1;
+
+    if (kind === "strong") result.push(`${strong}${text}${strong}`);
+    else if (kind === "em") result.push(`${em}${text}${em}`);
+    else if (kind === "code") result.push(`\`${text}\``);
+    else if (kind === "strike") result.push(`~~${text}~~`);
+    else result.push(linkMarkup(ctx, text));
+  }
+  return result;
+};
+
+const generateSentences = (ctx, min, max) => {
+  const { options, random } = ctx;
+  const vocabulary = textVocabulary(ctx);
+  const separator = separatorOf(vocabulary);
+  const getRandomWord = () => pick(random, vocabulary.words);
+
+  const numSentences = getRandomInt(random, min, max);
+  const sentences = [];
+
+  for (let i = 0; i < numSentences; i++) {
+    const sentenceLength = getRandomInt(random, 8, 15);
+    let words = [];
+    for (let j = 0; j < sentenceLength; j++) {
+      words.push(getRandomWord());
+    }
+    if (options.capitalizeSentences) {
+      words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+    }
+    if (!options.noInlineMarkup) {
+      words = applyInlineMarkup(ctx, words, separator);
+    }
+    let sentence = `${words.join(separator)}${vocabulary.sentenceEnd ?? "."}`;
+    if (
+      options.footnotes &&
+      !ctx.writingFootnotes &&
+      random() < options.frequencies.footnotes / 100
+    ) {
+      ctx.footnoteCount += 1;
+      sentence += `[^${ctx.footnoteCount}]`;
+    }
+    sentences.push(sentence);
+  }
+
+  return sentences.join(vocabulary.sentenceJoin ?? " ");
+};
+
+// Emits the reference definitions collected while generating a block
+const takeReferences = (ctx) => {
+  const definitions = ctx.references.splice(0);
+  return definitions.length ? `${definitions.join("\n")}\n\n` : "";
+};
+
+const generateParagraph = (ctx) => {
+  let text = generateSentences(ctx, 4, 15);
+  if (ctx.vocabulary.opening && !ctx.openingUsed) {
+    ctx.openingUsed = true;
+    text = `${ctx.vocabulary.opening} ${text}`;
+  }
+  return { type: "paragraph", text, markdown: `${text}\n\n${takeReferences(ctx)}` };
+};
+
+const quoteLines = (text, prefix = "> ") =>
+  text
+    .split("\n")
+    .map((line) => (line ? `${prefix}${line}` : prefix.trimEnd()))
+    .join("\n");
+
+/**
+ * Builds a blockquote in one of several shapes: a single paragraph, several
+ * paragraphs, a quote nested inside another, a quote with an attribution
+ * line, or a GFM alert callout (`> [!NOTE]`).
+ */
+const generateBlockquote = (ctx) => {
+  const { random } = ctx;
+  const variant = pick(random, BLOCKQUOTE_VARIANTS);
+  const block = { type: "blockquote", variant, paragraphs: [] };
+  let body;
+
+  if (variant === "alert") {
+    block.alert = pick(random, ALERT_TYPES);
+    block.paragraphs.push(generateSentences(ctx, 1, 3));
+    body = `[!${block.alert}]\n${block.paragraphs[0]}`;
+  } else {
+    const count = variant === "multi" ? getRandomInt(random, 2, 3) : 1;
+    for (let i = 0; i < count; i++) {
+      block.paragraphs.push(generateSentences(ctx, 1, 4));
+    }
+    body = block.paragraphs.join("\n\n");
+    if (variant === "nested") {
+      block.nested = [generateSentences(ctx, 1, 3)];
+      body += `\n\n${quoteLines(block.nested[0])}`;
+    } else if (variant === "attribution") {
+      block.attribution = generateName(ctx);
+      body += `\n\n— ${block.attribution}`;
+    }
+  }
+
+  block.markdown = `${quoteLines(body)}\n\n${takeReferences(ctx)}`;
+  return block;
+};
+
+// Setext underlines only exist for levels 1 and 2; deeper levels stay ATX
+const headingMarkdown = ({ options }, level, text) => {
+  if (options.underlinedHeaders && level <= 2) {
+    const underline = (level === 1 ? "=" : "-").repeat(text.length);
+    return `${text}\n${underline}\n\n`;
+  }
+  return `${"#".repeat(level)} ${text}\n\n`;
+};
+
+const generateHeading = (ctx, level) => {
+  const text = generateRandomHeading(ctx);
+  return { type: "heading", level, text, markdown: headingMarkdown(ctx, level, text) };
+};
+
+/**
+ * Picks the next subheading level. Levels stay within
+ * `headingMinLevel`..`headingMaxLevel` and never go more than one level
+ * deeper than the previous heading, so the outline has no skipped levels.
+ */
+const nextHeadingLevel = ({ options, random }, current) => {
+  const top = Math.min(options.headingMinLevel + 1, options.headingMaxLevel);
+  if (random() < 0.3 && current < options.headingMaxLevel) {
+    return current + 1;
+  }
+  return getRandomInt(random, top, Math.max(top, Math.min(current, options.headingMaxLevel)));
+};
+
+/**
+ * Builds a table of contents for the subheadings in `blocks`, linking to
+ * the same GitHub-style anchors the HTML export gives each heading. Returns
+ * the "Contents" heading and the nested link list.
+ */
+const generateTableOfContents = (ctx, blocks) => {
+  const { options } = ctx;
+  const headings = blocks.filter((block) => block.type === "heading");
+  // Where subheadings start, so it stays within the requested heading depth
+  const tocLevel = Math.min(options.headingMinLevel + 1, options.headingMaxLevel);
+  const tocHeading = {
+    type: "heading",
+    level: tocLevel,
+    text: "Contents",
+    markdown: headingMarkdown(ctx, tocLevel, "Contents"),
+  };
+
+  // Anchors are assigned in document order: title, "Contents", subheadings
+  const slugger = createSlugger();
+  const [title, ...subheadings] = headings;
+  slugger(title.text);
+  tocHeading.slug = slugger(tocHeading.text);
+  const entries = subheadings.map((heading) => ({
+    level: heading.level,
+    text: heading.text,
+    slug: slugger(heading.text),
+  }));
+
+  const topLevel = Math.min(...entries.map(({ level }) => level));
+  const lines = entries.map(({ level, text, slug }) => {
+    const indent = " ".repeat((level - topLevel) * (options.bulletStyle.length + 1));
+    return `${indent}${options.bulletStyle} [${text}](#${slug})\n`;
+  });
+
+  return [
+    tocHeading,
+    { type: "toc", entries, markdown: `${lines.join("")}\n` },
+  ];
+};
+
+// Chance that a list item gets a nested list, while below `listMaxDepth`
+const NESTED_LIST_RATE = 0.3;
+
+const generateListItemText = (ctx) => {
+  const { options, random } = ctx;
+  const vocabulary = textVocabulary(ctx);
+  const separator = separatorOf(vocabulary);
+  let words = [];
+  const length = getRandomInt(random, 2, 8);
+  for (let i = 0; i < length; i++) {
+    words.push(pick(random, vocabulary.words));
+  }
+  words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+  if (!options.noInlineMarkup) {
+    words = applyInlineMarkup(ctx, words, separator);
+  }
+  return words.join(separator);
+};
+
+const generateListItems = (ctx, listType, depth) => {
+  const { options, random } = ctx;
+  const items = [];
+  const count = getRandomInt(random, depth === 1 ? 3 : 2, depth === 1 ? 6 : 4);
+  for (let i = 0; i < count; i++) {
+    const item = { text: generateListItemText(ctx) };
+    if (listType === "task") {
+      item.checked = random() < 0.4;
+    }
+    if (depth < options.listMaxDepth && random() < NESTED_LIST_RATE) {
+      item.children = generateListItems(ctx, listType, depth + 1);
+    }
+    items.push(item);
+  }
+  return items;
+};
+
+const renderListItems = (ctx, items, listType, indent) => {
+  const { options } = ctx;
+  const separator = options.looseLists ? "\n" : "";
+  return items
+    .map((item, i) => {
+      let marker = listType === "ordered" ? `${i + 1}.` : options.bulletStyle;
+      if (listType === "task") {
+        marker += item.checked ? " [x]" : " [ ]";
+      }
+      let line = `${indent}${marker} ${item.text}\n`;
+      if (item.children) {
+        // Nested content lines up with the text after the list marker
+        const childIndent = indent + " ".repeat(
+          (listType === "ordered" ? marker.length : options.bulletStyle.length) + 1
+        );
+        line += separator;
+        line += renderListItems(ctx, item.children, listType, childIndent);
+      }
+      return line;
+    })
+    .join(separator);
+};
+
+/**
+ * Builds an unordered, ordered or GFM task list from the word pool, with
+ * nested sub-lists up to `listMaxDepth` levels and tight or loose spacing.
+ */
+const generateList = (ctx) => {
+  const { options, random } = ctx;
+  const listType =
+    options.listType === "mixed" ? pick(random, LIST_TYPES) : options.listType;
+  const items = generateListItems(ctx, listType, 1);
+  return {
+    type: "list",
+    listType,
+    loose: options.looseLists,
+    items,
+    markdown: `${renderListItems(ctx, items, listType, "")}\n${takeReferences(ctx)}`,
+  };
+};
+
+const generateCodeBlock = ({ options, random }) => {
+  const lang = pick(
+    random,
+    options.codeLanguages.length ? options.codeLanguages : CODE_LANGUAGE_NAMES
+  );
+  if (options.codeBlocks) {
+    const code = generateSnippet(
+      random,
+      lang,
+      getRandomInt(random, options.codeMinLines, options.codeMaxLines)
+    );
+    return {
+      type: "code",
+      lang,
+      code,
+      inline: false,
+      markdown: `\`\`\`${lang}\n${code}\n\`\`\`\n\n`,
+    };
+  }
+  const code = generateSnippet(random, lang);
+  // A backtick in the snippet needs a longer fence around it
+  const fence = code.includes("`") ? "``" : "`";
+  const padding = fence.length > 1 ? " " : "";
+  return {
+    type: "code",
+    lang,
+    code,
+    inline: true,
+    markdown: `${fence}${padding}${code}${padding}${fence}\n\n`,
+  };
+};
+
+const TABLE_ALIGNMENTS = [null, "left", "center", "right"];
+
+const generateTableCell = (ctx, kind) => {
+  const { random, vocabulary } = ctx;
+  const word = () => pick(random, vocabulary.words);
+  if (kind === "number") {
+    return pick(random, [
+      () => String(getRandomInt(random, 0, 9999)),
+      () => (random() * 1000).toFixed(2),
+      () => `${getRandomInt(random, 0, 100)}%`,
+    ])();
+  }
+  if (kind === "code") return `\`${word()}\``;
+  if (kind === "link") return linkMarkup(ctx, word());
+  const text = Array.from({ length: getRandomInt(random, 1, 3) }, word).join(" ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const tableRow = (cells, widths) =>
+  `| ${cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ")} |`;
+
+const tableDelimiter = (align, width) => {
+  const dashes = "-".repeat(Math.max(3, width));
+  if (align === "left") return `:${dashes.slice(1)}`;
+  if (align === "right") return `${dashes.slice(1)}:`;
+  if (align === "center") return `:${dashes.slice(2)}:`;
+  return dashes;
+};
+
+/**
+ * Builds a GFM table with a header row, `tableRows` body rows and
+ * `tableColumns` columns. Each column gets a random alignment and a content
+ * kind: words, numbers, inline code or links.
+ */
+const generateTable = (ctx) => {
+  const { options, random } = ctx;
+  const kinds = ["words", "number"];
+  if (!options.noInlineMarkup) kinds.push("code");
+  if (!options.noInlineMarkup && !options.noExternalLinks) kinds.push("link");
+
+  const columns = Array.from({ length: options.tableColumns }, (_, i) => ({
+    kind: i === 0 ? "words" : pick(random, kinds),
+    align: pick(random, TABLE_ALIGNMENTS),
+  }));
+  const header = columns.map(() => generateName(ctx));
+  const rows = Array.from({ length: options.tableRows }, () =>
+    columns.map(({ kind }) => generateTableCell(ctx, kind))
+  );
+
+  const widths = columns.map((_, i) =>
+    Math.max(3, header[i].length, ...rows.map((row) => row[i].length))
+  );
+  const lines = [
+    tableRow(header, widths),
+    `| ${columns.map(({ align }, i) => tableDelimiter(align, widths[i])).join(" | ")} |`,
+    ...rows.map((row) => tableRow(row, widths)),
+  ];
+
+  return {
+    type: "table",
+    align: columns.map(({ align }) => align),
+    header,
+    rows,
+    markdown: `${lines.join("\n")}\n\n${takeReferences(ctx)}`,
+  };
+};
+
+const IMAGE_SIZES = ["800x400", "640x480", "1200x600", "400x400", "960x540"];
+
+const THEMATIC_BREAKS = ["---", "***", "___"];
+
+/**
+ * Builds a standalone image with generated alt text and a placeholder
+ * source. Follows `referenceLinks` for inline vs reference style.
+ */
+const generateImage = (ctx) => {
+  const { options, random } = ctx;
+  const subject = Array.from({ length: getRandomInt(random, 2, 4) }, () =>
+    pick(random, ctx.vocabulary.words)
+  ).join(" ");
+  const alt = `${pick(random, ["Photo", "Illustration", "Diagram", "Chart"])} of ${subject}`;
+  const src = `https://placehold.co/${pick(random, IMAGE_SIZES)}.png`;
+  const title = generateRandomHeading(ctx);
+  ctx.imageCount += 1;
+
+  if (options.referenceLinks) {
+    const label = `image${ctx.imageCount}`;
+    return {
+      type: "image",
+      alt,
+      src,
+      title,
+      label,
+      markdown: `![${alt}][${label}]\n\n[${label}]: ${src} "${title}"\n\n`,
+    };
+  }
+  return {
+    type: "image",
+    alt,
+    src,
+    title,
+    markdown: `![${alt}](${src} "${title}")\n\n`,
+  };
+};
+
+const generateThematicBreak = ({ random }) => {
+  const marker = pick(random, THEMATIC_BREAKS);
+  return { type: "thematicBreak", marker, markdown: `${marker}\n\n` };
+};
+
+/**
+ * Builds a definition list in the PHP Markdown Extra / Pandoc syntax
+ * (`Term` followed by `: definition` lines).
+ */
+const generateDefinitionList = (ctx) => {
+  const { random } = ctx;
+  const items = Array.from({ length: getRandomInt(random, 2, 4) }, () => ({
+    term: generateName(ctx),
+    definitions: Array.from({ length: getRandomInt(random, 1, 2) }, () =>
+      generateSentences(ctx, 1, 2)
+    ),
+  }));
+  // A blank line between entries keeps the next term out of the previous definition
+  const entries = items.map(({ term, definitions }) =>
+    [term, ...definitions.map((definition) => `: ${definition}`)].join("\n")
+  );
+  return {
+    type: "definitionList",
+    items,
+    markdown: `${entries.join("\n\n")}\n\n${takeReferences(ctx)}`,
+  };
+};
+
+// Definitions for every `[^n]` reference made so far, emitted at the end
+const generateFootnotes = (ctx) => {
+  ctx.writingFootnotes = true;
+  const items = Array.from({ length: ctx.footnoteCount }, (_, i) => ({
+    label: String(i + 1),
+    text: generateSentences(ctx, 1, 2),
+  }));
+  const lines = items.map(({ label, text }) => `[^${label}]: ${text}`);
+  return {
+    type: "footnotes",
+    items,
+    markdown: `${lines.join("\n")}\n\n${takeReferences(ctx)}`,
+  };
+};
+
+// Front matter dates fall between these, drawn from the seed so output stays reproducible
+const FRONT_MATTER_DATE_RANGE = [Date.UTC(2020, 0, 1), Date.UTC(2025, 11, 31)];
+
+/**
+ * Builds the front matter block: title (the main heading), description,
+ * date, author, tags and draft flag, written under the keys from
+ * `frontMatterKeys`.
+ */
+const generateFrontMatter = (ctx, blocks) => {
+  const { options, random, vocabulary } = ctx;
+  const mainHeading = blocks.find((block) => block.type === "heading");
+  const title = mainHeading ? mainHeading.text : generateRandomHeading(ctx);
+
+  const descriptionWords = Array.from({ length: getRandomInt(random, 8, 14) }, () =>
+    pick(random, vocabulary.words)
+  );
+  descriptionWords[0] =
+    descriptionWords[0].charAt(0).toUpperCase() + descriptionWords[0].slice(1);
+
+  const [start, end] = FRONT_MATTER_DATE_RANGE;
+  const day = 24 * 60 * 60 * 1000;
+  const date = new Date(start + Math.floor(random() * ((end - start) / day)) * day);
+
+  const tags = [];
+  const tagCount = Math.min(
+    getRandomInt(random, 2, 4),
+    new Set(vocabulary.words.map((word) => word.toLowerCase())).size
+  );
+  while (tags.length < tagCount) {
+    const tag = pick(random, vocabulary.words).toLowerCase();
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  const fields = {
+    title,
+    description: `${descriptionWords.join(" ")}.`,
+    date,
+    author: generateName(ctx),
+    tags,
+    draft: random() < 0.3,
+  };
+  const entries = Object.entries(fields)
+    .filter(([field]) => options.frontMatterKeys[field])
+    .map(([field, value]) => [options.frontMatterKeys[field], value]);
+
+  return {
+    type: "frontMatter",
+    format: options.frontMatter,
+    data: Object.fromEntries(entries),
+    markdown: `${serializeFrontMatter(options.frontMatter, entries)}\n\n`,
+  };
+};
+
+const generateLink = ({ options }, n) => {
+  if (options.referenceLinks) {
+    const href = `https://example.com/ref${n}`;
+    return {
+      type: "link",
+      text: "reference link",
+      href,
+      label: String(n),
+      markdown: `See [reference link][${n}] for more information.\n\n[${n}]: ${href}\n\n`,
+    };
+  }
+  const href = `https://example.com/page${n}`;
+  return {
+    type: "link",
+    text: "inline link",
+    href,
+    markdown: `See [inline link](${href}) for more information.\n\n`,
+  };
+};
+
+const generateBlocks = (ctx) => {
+  const { options, random } = ctx;
+  const blocks = [];
+
+  if (!options.noHeaders) {
+    blocks.push(generateHeading(ctx, options.headingMinLevel));
+  }
+  let headingLevel = options.headingMinLevel;
+
+  const numSubheadings = Math.min(
+    options.numBlocks,
+    Math.max(3, Math.floor(options.numBlocks / 4))
+  );
+  const headingPositions = new Set();
+  while (headingPositions.size < numSubheadings) {
+    headingPositions.add(Math.floor(random() * options.numBlocks));
+  }
+
+  for (let i = 0; i < options.numBlocks; i++) {
+    if (headingPositions.has(i) && !options.noHeaders) {
+      headingLevel = nextHeadingLevel(ctx, headingLevel);
+      blocks.push(generateHeading(ctx, headingLevel));
+    }
+
+    blocks.push(generateParagraph(ctx));
+
+    if (!options.noBlockquotes && placeElement(ctx, "blockquotes", i)) {
+      blocks.push(generateBlockquote(ctx));
+    }
+
+    if (!options.noLists && placeElement(ctx, "lists", i)) {
+      blocks.push(generateList(ctx));
+    }
+
+    if (options.tables && placeElement(ctx, "tables", i)) {
+      blocks.push(generateTable(ctx));
+    }
+
+    if (!options.noCodeSnippets && placeElement(ctx, "code", i)) {
+      blocks.push(generateCodeBlock(ctx));
+    }
+
+    if (options.definitionLists && placeElement(ctx, "definitionLists", i)) {
+      blocks.push(generateDefinitionList(ctx));
+    }
+
+    if (options.images && placeElement(ctx, "images", i)) {
+      blocks.push(generateImage(ctx));
+    }
+
+    if (!options.noExternalLinks && placeElement(ctx, "links", i)) {
+      blocks.push(generateLink(ctx, i + 1));
+    }
+
+    if (
+      options.thematicBreaks &&
+      i < options.numBlocks - 1 &&
+      placeElement(ctx, "thematicBreaks", i)
+    ) {
+      blocks.push(generateThematicBreak(ctx));
+    }
+  }
+
+  if (ctx.footnoteCount > 0) {
+    blocks.push(generateFootnotes(ctx));
+  }
+
+  const headingCount = blocks.filter((block) => block.type === "heading").length;
+  if (options.tableOfContents && headingCount > 1) {
+    blocks.splice(1, 0, ...generateTableOfContents(ctx, blocks));
+  }
+
+  return blocks;
+};
+
+/**
+ * Builds plain paragraphs that meet `lengthTarget` exactly. Headings, other
+ * blocks, inline markup and footnotes are left out so that everything in the
+ * output is countable copy.
+ *
+ * Word, sentence and paragraph targets are filled one word at a time and end
+ * on a word, sentence or paragraph boundary. A character target trims back to
+ * a word boundary and then closes the gap with words of fitting lengths; when
+ * the vocabulary's word lengths cannot make the exact total, it stops at the
+ * largest total under the target and `achieved` is less than requested.
+ * Characters are counted as graphemes, without the blank lines between
+ * paragraphs.
+ *
+ * @returns {{blocks: Block[], achieved: number}}
+ */
+const generateToLength = (ctx) => {
+  const { options, random } = ctx;
+  const { lengthUnit: unit, lengthTarget } = options;
+  const paragraphs = [];
+  let wordCount = 0;
+  let sentenceCount = 0;
+  // Characters of the text so far; each word's cost includes the separator
+  // or sentence punctuation that appears with it
+  let characters = 0;
+
+  const lastParagraph = () => paragraphs[paragraphs.length - 1];
+  const lastSentence = () => lastParagraph()?.sentences.at(-1);
+  const isFull = (sentence) => sentence.words.length >= sentence.size;
+
+  const renderWord = (word, index) =>
+    index === 0 && options.capitalizeSentences
+      ? word.charAt(0).toUpperCase() + word.slice(1)
+      : word;
+
+  const pushWord = (paragraph, sentence, word) => {
+    const { vocabulary } = paragraph;
+    let text = renderWord(word, sentence.words.length);
+    if (sentence.words.length) {
+      text = separatorOf(vocabulary) + text;
+    } else {
+      text += vocabulary.sentenceEnd ?? ".";
+      if (paragraph.sentences.length > 1) text = (vocabulary.sentenceJoin ?? " ") + text;
+    }
+    const cost = countCharacters(text);
+    sentence.words.push(word);
+    sentence.costs.push(cost);
+    characters += cost;
+    wordCount += 1;
+  };
+
+  const startSentence = (paragraph, size) => {
+    const sentence = { words: [], costs: [], size };
+    paragraph.sentences.push(sentence);
+    sentenceCount += 1;
+    return sentence;
+  };
+
+  const startParagraph = () => {
+    const paragraph = {
+      vocabulary: textVocabulary(ctx),
+      sentences: [],
+      size: getRandomInt(random, 4, 15),
+    };
+    paragraphs.push(paragraph);
+    const { opening } = paragraph.vocabulary;
+    if (opening && !ctx.openingUsed) {
+      ctx.openingUsed = true;
+      const words = opening.replace(/\.$/, "").split(" ");
+      const sentence = startSentence(paragraph, words.length);
+      words.forEach((word) => pushWord(paragraph, sentence, word));
+    }
+    return paragraph;
+  };
+
+  const addWord = () => {
+    let paragraph = lastParagraph();
+    let sentence = lastSentence();
+    if (!sentence || isFull(sentence)) {
+      if (!paragraph || paragraph.sentences.length >= paragraph.size) {
+        paragraph = startParagraph();
+        sentence = lastSentence();
+        // A vocabulary's opening sentence is this step's text on its own
+        if (sentence) return;
+      }
+      if (!sentence || isFull(sentence)) {
+        sentence = startSentence(paragraph, getRandomInt(random, 8, 15));
+      }
+    }
+    pushWord(paragraph, sentence, pick(random, paragraph.vocabulary.words));
+  };
+
+  const removeWord = () => {
+    const paragraph = lastParagraph();
+    const sentence = lastSentence();
+    sentence.words.pop();
+    characters -= sentence.costs.pop();
+    wordCount -= 1;
+    if (!sentence.words.length) {
+      paragraph.sentences.pop();
+      sentenceCount -= 1;
+    }
+    if (!paragraph.sentences.length) paragraphs.pop();
+  };
+
+  // reachable[n]: whether appended words can add exactly n characters.
+  // Extends `reachable` in place when given one.
+  const reachableGaps = (costs, gap, reachable = [true]) => {
+    for (let n = reachable.length; n <= gap; n++) {
+      reachable[n] = costs.some((cost) => cost <= n && reachable[n - cost]);
+    }
+    return reachable;
+  };
+
+  const wordCosts = (vocabulary) =>
+    vocabulary.words.map((word) => countCharacters(separatorOf(vocabulary) + word));
+
+  // A sentence's first word carries the sentence punctuation
+  const firstWordCost = (vocabulary, word) =>
+    countCharacters(renderWord(word, 0) + (vocabulary.sentenceEnd ?? "."));
+
+  // Appends words adding exactly `amount` characters, which must be reachable
+  const fillGap = (amount) => {
+    const { vocabulary } = lastParagraph();
+    const { words } = vocabulary;
+    const costs = wordCosts(vocabulary);
+    const reachable = reachableGaps(costs, amount);
+    let remaining = amount;
+    while (remaining > 0) {
+      const fits = words.filter((_, i) => costs[i] <= remaining && reachable[remaining - costs[i]]);
+      const word = pick(random, fits);
+      pushWord(lastParagraph(), lastSentence(), word);
+      remaining -= costs[words.indexOf(word)];
+    }
+  };
+
+  // Starts over from one first word whose length leaves a gap the vocabulary
+  // can fill exactly; false when no first word does
+  const fitFromScratch = () => {
+    const paragraph = startParagraph();
+    const { vocabulary } = paragraph;
+    const reachable = reachableGaps(wordCosts(vocabulary), lengthTarget);
+    const fits = vocabulary.words.filter((word) => {
+      const cost = firstWordCost(vocabulary, word);
+      return cost <= lengthTarget && reachable[lengthTarget - cost];
+    });
+    if (!fits.length) {
+      paragraphs.pop();
+      return false;
+    }
+    pushWord(paragraph, startSentence(paragraph, 1), pick(random, fits));
+    fillGap(lengthTarget - characters);
+    return true;
+  };
+
+  // Trims the fewest words off the end that leave a gap to the target the
+  // vocabulary's word lengths can fill exactly, then fills it. When no trim
+  // does, short targets may start over from a single well-sized first word;
+  // failing that, the text keeps the largest total at or under the target and
+  // `achieved` reports the shortfall.
+  const fitCharacters = () => {
+    while (characters > lengthTarget && wordCount > 0) removeWord();
+    if (characters === lengthTarget) return;
+
+    // Word costs from the end of the text, with the vocabulary each word was written in
+    const trail = paragraphs
+      .flatMap((paragraph) =>
+        paragraph.sentences.flatMap((sentence) => sentence.costs.map((cost) => ({ cost, paragraph })))
+      )
+      .reverse();
+    const reachableFor = new Map();
+    let best = { trim: 0, fill: 0, total: -1 };
+    let trimmed = 0;
+    for (let trim = 0; trim < trail.length; trim++) {
+      const { vocabulary } = trail[trim].paragraph;
+      if (!reachableFor.has(vocabulary)) {
+        reachableFor.set(vocabulary, { costs: wordCosts(vocabulary), reachable: [true] });
+      }
+      const gap = lengthTarget - (characters - trimmed);
+      const { costs, reachable } = reachableFor.get(vocabulary);
+      reachableGaps(costs, gap, reachable);
+      let fill = gap;
+      while (!reachable[fill]) fill -= 1;
+      if (characters - trimmed + fill > best.total) {
+        best = { trim, fill, total: characters - trimmed + fill };
+      }
+      if (fill === gap) break;
+      trimmed += trail[trim].cost;
+    }
+
+    if (best.total < lengthTarget) {
+      const kept = paragraphs.slice();
+      const counts = { characters, wordCount, sentenceCount };
+      paragraphs.length = 0;
+      characters = wordCount = sentenceCount = 0;
+      if (fitFromScratch()) return;
+      paragraphs.push(...kept);
+      ({ characters, wordCount, sentenceCount } = counts);
+    }
+    // Best effort when even one word is longer than a tiny target
+    if (!wordCount) {
+      const paragraph = startParagraph();
+      const { vocabulary } = paragraph;
+      const shortest = vocabulary.words.reduce((a, b) =>
+        firstWordCost(vocabulary, b) < firstWordCost(vocabulary, a) ? b : a
+      );
+      pushWord(paragraph, startSentence(paragraph, 1), shortest);
+      return;
+    }
+    for (let i = 0; i < best.trim; i++) removeWord();
+    if (best.fill) fillGap(best.fill);
+  };
+
+  if (unit === "words" || unit === "minutes") {
+    const words = unit === "words" ? lengthTarget : Math.max(1, Math.round(lengthTarget * WORDS_PER_MINUTE));
+    while (wordCount < words) addWord();
+    while (wordCount > words) removeWord();
+  } else if (unit === "sentences") {
+    while (sentenceCount < lengthTarget || !isFull(lastSentence())) addWord();
+  } else if (unit === "paragraphs") {
+    const isDone = () =>
+      paragraphs.length >= lengthTarget &&
+      lastParagraph().sentences.length >= lastParagraph().size &&
+      isFull(lastSentence());
+    while (!isDone()) addWord();
+  } else {
+    while (characters < lengthTarget) addWord();
+    fitCharacters();
+  }
+
+  const blocks = paragraphs.map(({ vocabulary, sentences }) => {
+    const text = sentences
+      .map(
+        ({ words }) =>
+          words.map(renderWord).join(separatorOf(vocabulary)) +
+          (vocabulary.sentenceEnd ?? ".")
+      )
+      .join(vocabulary.sentenceJoin ?? " ");
+    return { type: "paragraph", text, markdown: `${text}\n\n` };
+  });
+
+  const achieved = {
+    words: wordCount,
+    minutes: wordCount / WORDS_PER_MINUTE,
+    sentences: sentenceCount,
+    paragraphs: paragraphs.length,
+    characters: blocks.reduce((sum, block) => sum + countCharacters(block.text), 0),
+  }[unit];
+  return { blocks, achieved };
+};
+
+/**
+ * Generates a placeholder markdown document.
+ *
+ * @function generate
+ * @param {Partial<GeneratorOptions>} [options={}] - Any subset of the options; missing keys use DEFAULT_OPTIONS
+ * @returns {GenerateResult}
+ *
+ * @example
+ * const first = generate({ seed: "ticket-123", codeBlocks: true });
+ * const again = generate({ seed: first.seed, codeBlocks: true });
+ * // first.markdown === again.markdown
+ */
+export const generate = (options = {}) => {
+  const normalized = normalizeOptions(options);
+  const seed = normalized.seed || newSeed();
+  const ctx = {
+    options: normalized,
+    random: createRandom(seedToNumber(seed)),
+    vocabulary: SCRIPTS[normalized.script] || resolveVocabulary(normalized),
+    openingUsed: false,
+    linkCount: 0,
+    imageCount: 0,
+    footnoteCount: 0,
+    writingFootnotes: false,
+    references: [],
+  };
+  const { lengthUnit, lengthTarget } = normalized;
+  const byBlocks = lengthUnit === "blocks";
+  const { blocks, achieved } = byBlocks
+    ? { blocks: generateBlocks(ctx), achieved: normalized.numBlocks }
+    : generateToLength(ctx);
+
+  // Generated last so that enabling front matter leaves the body unchanged
+  if (normalized.frontMatter !== "none") {
+    blocks.unshift(generateFrontMatter(ctx, blocks));
+  }
+
+  return {
+    markdown: blocks.map((block) => block.markdown).join(""),
+    blocks,
+    seed,
+    options: { ...normalized, seed },
+    length: {
+      unit: lengthUnit,
+      requested: byBlocks ? normalized.numBlocks : lengthTarget,
+      achieved,
+    },
+  };
+};
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Markdown to HTML conversion, shared by the page's `.html`
+ * download, the command-line tool and the API. Parsing is markdown-it
+ * (CommonMark) with plugins and small rules for the GFM and Markdown Extra
+ * constructs the generator emits.
+ */
+
+import MarkdownIt from "markdown-it";
+import footnote from "markdown-it-footnote";
+import deflist from "markdown-it-deflist";
+import { createSlugger } from "./slug.js";
+import { detectScript } from "./scripts.js";
+import { printStylesheet } from "./print.js";
+import { HTML_TEMPLATES, DEFAULT_HTML_TEMPLATE } from "./templates.js";
+
+/**
+ * @constant {Object<string, string>} ALERT_TITLES
+ * @description Heading shown for each GFM alert kind, in every output format.
+ */
+export const ALERT_TITLES = Object.freeze({
+  NOTE: "Note",
+  TIP: "Tip",
+  IMPORTANT: "Important",
+  WARNING: "Warning",
+  CAUTION: "Caution",
+});
+
+// Text of an inline token with the markup left out, as GitHub slugs it
+const plainText = (inline) =>
+  inline.children
+    .filter((child) => child.type === "text" || child.type === "code_inline")
+    .map((child) => child.content)
+    .join("");
+
+// GitHub-style alerts: a blockquote starting with `[!NOTE]` becomes a titled <div>
+const alerts = (md) => {
+  md.core.ruler.after("block", "alerts", (state) => {
+    const { tokens } = state;
+    for (let i = 0; i < tokens.length; i++) {
+      const inline = tokens[i + 2];
+      if (tokens[i].type !== "blockquote_open" || tokens[i + 1]?.type !== "paragraph_open") {
+        continue;
+      }
+      const match = inline.content.match(/^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*(?:\n|$)/);
+      if (!match) continue;
+      const type = match[1];
+      inline.content = inline.content.slice(match[0].length);
+
+      const open = tokens[i];
+      const close = tokens.slice(i).find(
+        (token) => token.type === "blockquote_close" && token.level === open.level
+      );
+      open.tag = close.tag = "div";
+      open.attrSet("class", `markdown-alert markdown-alert-${type.toLowerCase()}`);
+
+      const titleOpen = new state.Token("paragraph_open", "p", 1);
+      titleOpen.attrSet("class", "markdown-alert-title");
+      const title = new state.Token("inline", "", 0);
+      title.content = ALERT_TITLES[type];
+      title.children = [];
+      const titleClose = new state.Token("paragraph_close", "p", -1);
+      titleOpen.block = titleClose.block = true;
+      // The marker may have been the paragraph's only line
+      const removed = inline.content ? 0 : 3;
+      tokens.splice(i + 1, removed, titleOpen, title, titleClose);
+    }
+  });
+};
+
+// GFM task list items: a leading `[ ]` or `[x]` becomes a disabled checkbox
+const taskLists = (md) => {
+  md.core.ruler.after("inline", "task_lists", (state) => {
+    const { tokens } = state;
+    for (let i = 2; i < tokens.length; i++) {
+      const first = tokens[i].children?.[0];
+      if (tokens[i - 2].type !== "list_item_open" || first?.type !== "text") continue;
+      const match = first.content.match(/^\[([ xX])\] /);
+      if (!match) continue;
+      first.content = first.content.slice(match[0].length);
+      const checkbox = new state.Token("html_inline", "", 0);
+      checkbox.content = `<input type="checkbox" disabled${match[1] === " " ? "" : " checked"}> `;
+      tokens[i].children.unshift(checkbox);
+      tokens[i - 2].attrJoin("class", "task-list-item");
+      const list = tokens
+        .slice(0, i - 2)
+        .reverse()
+        .find((token) => token.nesting === 1 && token.level === tokens[i - 2].level - 1);
+      if (list && !list.attrGet("class")) list.attrSet("class", "contains-task-list");
+    }
+  });
+};
+
+// Anchor ids on headings, deduplicated in document order. The text of the
+// first top-level heading is kept as the document's title.
+const headingIds = (md) => {
+  md.core.ruler.push("heading_ids", (state) => {
+    const slugger = createSlugger();
+    let titleLevel = Infinity;
+    state.tokens.forEach((token, i) => {
+      if (token.type === "heading_open") {
+        const text = plainText(state.tokens[i + 1]);
+        token.attrSet("id", slugger(text));
+        const level = Number(token.tag.slice(1));
+        if (level < titleLevel) {
+          titleLevel = level;
+          state.env.title = text;
+        }
+      }
+    });
+  });
+};
+
+const LATIN = { lang: "en", dir: "ltr" };
+
+// Text blocks whose script differs from the document's get their own lang and
+// dir; tight list items carry them on the <li>, as their <p> is not rendered
+const languages = (md) => {
+  md.core.ruler.push("languages", (state) => {
+    const { tokens } = state;
+    const text = tokens
+      .filter((token) => token.type === "inline")
+      .map(plainText)
+      .join("\n");
+    const documentScript = detectScript(text) || LATIN;
+    state.env.script = documentScript;
+
+    const openers = [];
+    tokens.forEach((token, i) => {
+      if (token.nesting === 1) openers.push(token);
+      if (token.nesting === -1) openers.pop();
+      if (token.type !== "inline" || !openers.length) return;
+      let element = openers[openers.length - 1];
+      if (element.hidden) element = openers[openers.length - 2];
+      if (!element) return;
+      const script = detectScript(plainText(token)) || LATIN;
+      if (script.lang !== documentScript.lang) {
+        element.attrSet("lang", script.lang);
+        element.attrSet("dir", script.dir);
+      }
+    });
+  });
+};
+
+const createRenderer = (options = {}) => {
+  const renderer = new MarkdownIt({ html: false, linkify: false, typographer: false, ...options })
+    .use(footnote)
+    .use(deflist)
+    .use(alerts)
+    .use(taskLists)
+    .use(headingIds)
+    .use(languages);
+  renderer.renderer.rules.footnote_caption = (tokens, idx) => {
+    const { id, subId } = tokens[idx].meta;
+    return subId > 0 ? `${id + 1}:${subId}` : String(id + 1);
+  };
+  return renderer;
+};
+
+const md = createRenderer();
+const { escapeHtml } = md.utils;
+
+/**
+ * Removes a leading YAML, TOML or JSON front matter block. Front matter is
+ * metadata for site generators, not content.
+ *
+ * @function stripFrontMatter
+ * @param {string} text
+ * @returns {string}
+ */
+export const stripFrontMatter = (text) =>
+  text.replace(/^(?:---\n[\s\S]*?\n---|\+\+\+\n[\s\S]*?\n\+\+\+|\{\n[\s\S]*?\n\})\n+/, "");
+
+/**
+ * Renders generated markdown as an HTML fragment, following CommonMark plus
+ * the GFM tables, strikethrough, task lists and alerts, footnotes and
+ * definition lists the generator can emit. Raw HTML in the source is escaped,
+ * fenced code gets a `language-*` class and headings get anchor ids.
+ *
+ * @function renderMarkdown
+ * @param {string} markdown
+ * @param {{highlight?: function(string, string): string}} [options] - `highlight` marks up
+ *   fenced code, given the code and its language; pass `highlightCode` (see syntax.js)
+ * @returns {{html: string, lang: string, dir: string, title: string}} The fragment, the main
+ *   script's language, and the text of the first top-level heading ("" without headings)
+ */
+export const renderMarkdown = (markdown, { highlight } = {}) => {
+  const env = {};
+  const tokens = md.parse(stripFrontMatter(markdown), env);
+  const html = md.renderer.render(tokens, { ...md.options, highlight: highlight || null }, env);
+  return { html, ...env.script, title: env.title ?? "" };
+};
+
+/**
+ * @typedef {Object} HtmlOptions
+ * @property {function(string, string): string} [highlight] - Passed to renderMarkdown
+ * @property {string} [template] - A key of HTML_TEMPLATES (default "light"); "fragment" returns
+ *   the rendered body only
+ * @property {string} [stylesheet] - URL of a stylesheet to link instead of inlining the template's
+ * @property {string} [lang] - Language tag for `<html>`, such as the generator's chosen language;
+ *   detected from the text when omitted
+ * @property {string} [dir] - Writing direction that goes with `lang` (default "ltr")
+ * @property {Partial<PrintSettings>} [print] - Settings for the "print" template (see print.js)
+ */
+
+const indent = (text, prefix) => text.replace(/^(?=.)/gm, prefix);
+
+/**
+ * Converts generated markdown to an HTML document in one of the export
+ * templates. The `<title>` is the main heading, the content sits in `<main>`
+ * and `<article>` landmarks, and blocks written in another script than the
+ * document (as in "mixed" mode) get their own `lang` and `dir`.
+ *
+ * @function markdownToHtml
+ * @param {string} markdown
+ * @param {HtmlOptions} [options]
+ * @returns {string} A standalone HTML document, or the fragment for the "fragment" template
+ */
+export const markdownToHtml = (markdown, options = {}) => {
+  const { html, title, ...detected } = renderMarkdown(markdown, options);
+  const template = HTML_TEMPLATES[options.template] || HTML_TEMPLATES[DEFAULT_HTML_TEMPLATE];
+  if (!template.standalone) return html;
+
+  const { lang, dir } = options.lang ? { lang: options.lang, dir: options.dir || "ltr" } : detected;
+  const style = (css) => `  <style>\n${indent(css, "    ")}\n  </style>`;
+  const head = [
+    options.stylesheet
+      ? `  <link rel="stylesheet" href="${escapeHtml(options.stylesheet)}">`
+      : style(template.css),
+    // The page settings belong to this document, so they stay inline next to a linked stylesheet
+    template.print && style(printStylesheet(options.print, title)),
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}" dir="${escapeHtml(dir)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title || "Generated Content")}</title>
+${head.join("\n")}
+</head>
+<body>
+  <main>
+    <article>
+${html}    </article>
+  </main>
+</body>
+</html>`;
+};
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Public entry point of the Ipsumify generator library.
+ *
+ * The syntax highlighter (syntax.js) and the word-processor exporter
+ * (`exportOfficeDocument` in office.js) are imported from their modules
+ * directly rather than through here, so bundles that use this entry point
+ * don't carry them.
+ */
+
+export {
+  generate,
+  normalizeOptions,
+  documentLanguage,
+  DEFAULT_OPTIONS,
+  ELEMENT_TYPES,
+  PLACEMENTS,
+  LIST_TYPES,
+  BULLET_STYLES,
+  OPTION_CHOICES,
+  OPTION_RANGES,
+} from "./generator.js";
+export { optionsToQuery, optionsFromQuery } from "./query.js";
+export {
+  PRESET_FILE_FORMAT,
+  PRESET_FILE_VERSION,
+  validatePreset,
+  serializePresets,
+  parsePresetFile,
+} from "./presets.js";
+export { createRandom, seedToNumber, newSeed } from "./random.js";
+export { markdownToHtml, renderMarkdown } from "./html.js";
+export { HTML_TEMPLATES, DEFAULT_HTML_TEMPLATE } from "./templates.js";
+export {
+  PAGE_SIZES,
+  PAGE_MARGINS,
+  PAGE_BREAKS,
+  DEFAULT_PRINT_SETTINGS,
+  normalizePrintSettings,
+  printStylesheet,
+} from "./print.js";
+export { parseDocument, plainInline, headingSlugs } from "./document.js";
+export { EXPORT_FORMATS, exportMarkdown } from "./exporters.js";
+export { OFFICE_FORMATS } from "./office-formats.js";
+export { slugify, createSlugger } from "./slug.js";
+export { FRONT_MATTER_FORMATS, serializeFrontMatter } from "./front-matter.js";
+export { VOCABULARIES, parseWordList, resolveVocabulary } from "./vocabularies.js";
+export { SCRIPTS, SCRIPT_NAMES, detectScript } from "./scripts.js";
+export { CODE_LANGUAGES, CODE_LANGUAGE_NAMES, generateSnippet } from "./code.js";
+export {
+  LENGTH_UNITS,
+  LENGTH_LIMITS,
+  WORDS_PER_MINUTE,
+  countCharacters,
+  formatLength,
+} from "./length.js";
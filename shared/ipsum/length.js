@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Length units for exact-size output and the counting rules
+ * behind them, shared by the generator and the page header.
+ */
+
+/**
+ * @constant {string[]} LENGTH_UNITS
+ * @description Values of the `lengthUnit` option. "blocks" uses `numBlocks`;
+ * the others turn `lengthTarget` into an exact amount of body copy.
+ */
+export const LENGTH_UNITS = ["blocks", "words", "characters", "sentences", "paragraphs", "minutes"];
+
+/**
+ * @constant {Object<string, number>} LENGTH_LIMITS
+ * @description Largest accepted `lengthTarget` per unit.
+ */
+export const LENGTH_LIMITS = Object.freeze({
+  words: 50000,
+  characters: 300000,
+  sentences: 5000,
+  paragraphs: 500,
+  minutes: 250,
+});
+
+/**
+ * @constant {number} WORDS_PER_MINUTE
+ * @description Reading speed used to turn a reading time into a word count.
+ */
+export const WORDS_PER_MINUTE = 200;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * Counts user-perceived characters, so an emoji sequence or a letter with
+ * combining marks counts once.
+ *
+ * @function countCharacters
+ * @param {string} text
+ * @returns {number}
+ */
+export const countCharacters = (text) => {
+  let count = 0;
+  for (const _ of graphemes.segment(text)) count += 1;
+  return count;
+};
+
+/**
+ * Formats a length for display, e.g. "600 words" or "2.5 min read".
+ *
+ * @function formatLength
+ * @param {number} value
+ * @param {string} unit - A LENGTH_UNITS value
+ * @returns {string}
+ */
+export const formatLength = (value, unit) => {
+  if (unit === "minutes") {
+    return `${Math.round(value * 10) / 10} min read`;
+  }
+  const name = value === 1 ? unit.replace(/s$/, "") : unit;
+  return `${value.toLocaleString("en-US")} ${name}`;
+};
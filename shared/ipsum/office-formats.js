@@ -0,0 +1,28 @@
+/**
+ * @fileoverview The word-processor formats office.js writes. Kept apart from
+ * the exporter so the page can list them without loading it and fflate.
+ */
+
+/**
+ * @typedef {Object} OfficeFormat
+ * @property {string} label - Human-readable name
+ * @property {string} extension - File extension, with the dot
+ * @property {string} mimeType - Content type for downloads
+ */
+
+/**
+ * @constant {Object<string, OfficeFormat>} OFFICE_FORMATS
+ * @description Word-processor formats keyed by file extension without the dot.
+ */
+export const OFFICE_FORMATS = Object.freeze({
+  docx: {
+    label: "Word document",
+    extension: ".docx",
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+  odt: {
+    label: "OpenDocument text",
+    extension: ".odt",
+    mimeType: "application/vnd.oasis.opendocument.text",
+  },
+});
@@ -0,0 +1,605 @@
+/**
+ * @fileoverview Word-processor exports: Office Open XML (.docx) and
+ * OpenDocument Text (.odt), built from the same document tree as the
+ * plain-text and markup exporters (see document.js).
+ *
+ * Both are zipped XML written here and packed with fflate, so they are built
+ * wherever the generator runs, including the browser, without a server. The
+ * documents use the word processor's own named styles (Heading 1, Quote,
+ * List Paragraph, ...) so they can be restyled from the styles pane. Remote
+ * images are not downloaded; they become links to the image URL.
+ */
+
+import { zipSync, strToU8 } from "fflate";
+import { parseDocument, headingSlugs } from "./document.js";
+import { ALERT_TITLES } from "./html.js";
+import { OFFICE_FORMATS } from "./office-formats.js";
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+
+// Escapes text for XML and drops control characters XML 1.0 does not allow
+const xml = (value) =>
+  value
+    .replace(/[&<>"]/g, (char) => XML_ESCAPES[char])
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+const taskMark = (checked) => (checked === null ? "" : checked ? "☒ " : "☐ ");
+
+const W_NAMESPACES =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const RELATIONSHIP = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml";
+
+const DOCX_CONTENT_TYPES = `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="${CONTENT_TYPE}.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="${CONTENT_TYPE}.numbering+xml"/>
+<Override PartName="/word/footnotes.xml" ContentType="${CONTENT_TYPE}.footnotes+xml"/>
+<Override PartName="/word/settings.xml" ContentType="${CONTENT_TYPE}.settings+xml"/>
+</Types>`;
+
+const DOCX_PACKAGE_RELS = `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${RELATIONSHIP}/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCX_SETTINGS = `${XML_DECLARATION}<w:settings ${W_NAMESPACES}>
+<w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr>
+</w:settings>`;
+
+const DOCX_HEADING_SIZES = [32, 28, 26, 24, 22, 22];
+
+const DOCX_STYLES = `${XML_DECLARATION}<w:styles ${W_NAMESPACES}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${DOCX_HEADING_SIZES.map(
+  (size, i) => `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${i ? 200 : 360}" w:after="80"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:bCs/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`
+).join("\n")}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="404040"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="SourceCode"><w:name w:val="Source Code"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:contextualSpacing/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="DefinitionTerm"><w:name w:val="Definition Term"/><w:basedOn w:val="Normal"/><w:next w:val="Definition"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:after="40"/></w:pPr><w:rPr><w:b/><w:bCs/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Definition"><w:name w:val="Definition"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="HorizontalLine"><w:name w:val="Horizontal Line"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="A6A6A6"/></w:pBdr><w:spacing w:after="240"/></w:pPr><w:rPr><w:sz w:val="8"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="FootnoteText"><w:name w:val="footnote text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr></w:style>
+<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="VerbatimChar"><w:name w:val="Verbatim Char"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>
+<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:tblPr><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/><w:tblPr><w:tblBorders>${["top", "left", "bottom", "right", "insideH", "insideV"]
+  .map((side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`)
+  .join("")}</w:tblBorders></w:tblPr></w:style>
+</w:styles>`;
+
+const DOCX_BULLETS = ["•", "◦", "▪"];
+const DOCX_NUMBER_FORMATS = ["decimal", "lowerLetter", "lowerRoman"];
+
+// Nine levels of bullets (abstract 0) or numbers (abstract 1)
+const docxAbstractNumbering = (id, ordered) =>
+  `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${Array.from(
+    { length: 9 },
+    (_, level) =>
+      `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${
+        ordered ? DOCX_NUMBER_FORMATS[level % 3] : "bullet"
+      }"/><w:lvlText w:val="${ordered ? `%${level + 1}.` : DOCX_BULLETS[level % 3]}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${
+        720 * (level + 1)
+      }" w:hanging="360"/></w:pPr></w:lvl>`
+  ).join("")}</w:abstractNum>`;
+
+// Relationships of one part (the body or the footnotes), for its hyperlinks
+const createRelationships = (fixed = []) => {
+  const entries = [...fixed];
+  return {
+    link: (href) => {
+      const id = `rId${entries.length + 1}`;
+      entries.push({ id, type: "hyperlink", target: href, external: true });
+      return id;
+    },
+    toXml: () =>
+      `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${entries
+        .map(
+          ({ id, type, target, external }) =>
+            `<Relationship Id="${id}" Type="${RELATIONSHIP}/${type}" Target="${xml(target)}"${
+              external ? ' TargetMode="External"' : ""
+            }/>`
+        )
+        .join("")}</Relationships>`,
+  };
+};
+
+const docxRun = (text, format = {}) => {
+  const style = format.link ? "Hyperlink" : format.code ? "VerbatimChar" : format.style;
+  const props = [
+    style && `<w:rStyle w:val="${style}"/>`,
+    format.code && format.link && '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>',
+    format.bold && "<w:b/>",
+    format.italic && "<w:i/>",
+    format.strike && "<w:strike/>",
+  ]
+    .filter(Boolean)
+    .join("");
+  return `<w:r>${props && `<w:rPr>${props}</w:rPr>`}<w:t xml:space="preserve">${xml(text)}</w:t></w:r>`;
+};
+
+const docxParagraph = (content, { style, numbering, indent, align } = {}) => {
+  const props = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    numbering && `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.id}"/></w:numPr>`,
+    indent && `<w:ind w:left="${indent}"/>`,
+    align && `<w:jc w:val="${align}"/>`,
+  ]
+    .filter(Boolean)
+    .join("");
+  return `<w:p>${props && `<w:pPr>${props}</w:pPr>`}${content}</w:p>`;
+};
+
+const DOCX_ALIGN = { left: "left", center: "center", right: "right" };
+
+/**
+ * Office Open XML, as Word writes it: document, styles, numbering,
+ * footnotes and settings parts. Each list gets its own numbering instance so
+ * ordered lists restart at their own first number.
+ */
+const toDocx = (tree) => {
+  const { slugs } = headingSlugs(tree);
+  // Word bookmark names start with a letter and hold at most 40 word characters
+  const bookmarks = new Map(
+    [...slugs.values()].map((slug, i) => [slug, `h${i + 1}_${slug.replace(/[^A-Za-z0-9]/g, "_")}`.slice(0, 40)])
+  );
+  const lists = [];
+
+  const inline = (nodes, part, format = {}) =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return docxRun(node.value.replace(/\n/g, " "), format);
+          case "strong":
+            return inline(node.children, part, { ...format, bold: true });
+          case "em":
+            return inline(node.children, part, { ...format, italic: true });
+          case "strike":
+            return inline(node.children, part, { ...format, strike: true });
+          case "inlineCode":
+            return docxRun(node.value, { ...format, code: true });
+          case "link": {
+            if (node.href.startsWith("#")) {
+              const anchor = bookmarks.get(node.href.slice(1));
+              const runs = inline(node.children, part, { ...format, link: Boolean(anchor) });
+              return anchor ? `<w:hyperlink w:anchor="${anchor}">${runs}</w:hyperlink>` : runs;
+            }
+            return `<w:hyperlink r:id="${part.rels.link(node.href)}">${inline(node.children, part, {
+              ...format,
+              link: true,
+            })}</w:hyperlink>`;
+          }
+          case "image":
+            return `<w:hyperlink r:id="${part.rels.link(node.src)}">${docxRun(node.alt || node.src, {
+              ...format,
+              link: true,
+            })}</w:hyperlink>`;
+          case "footnoteRef":
+            return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${
+              node.id + 1
+            }"/></w:r>`;
+          case "break":
+            return "<w:r><w:br/></w:r>";
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  // `scope` carries the paragraph style, indent and list depth of enclosing blocks
+  const blocks = (nodes, part, scope = {}) =>
+    nodes
+      .map((node) => {
+        const depth = scope.depth ?? 0;
+        switch (node.type) {
+          case "heading": {
+            const slug = slugs.get(node);
+            const runs = inline(node.children, part);
+            if (!slug) return docxParagraph(runs, { style: `Heading${node.level}` });
+            const id = [...slugs.values()].indexOf(slug) + 1;
+            return docxParagraph(
+              `<w:bookmarkStart w:id="${id}" w:name="${bookmarks.get(slug)}"/>${runs}<w:bookmarkEnd w:id="${id}"/>`,
+              { style: `Heading${node.level}` }
+            );
+          }
+          case "paragraph":
+            return docxParagraph(inline(node.children, part), scope);
+          case "list": {
+            lists.push({ ordered: node.ordered, level: depth, start: node.start });
+            const numbering = { id: lists.length, level: depth };
+            const indent = 720 * (depth + 1);
+            return node.items
+              .map((item) =>
+                item.children
+                  .map((child, i) =>
+                    i === 0 && child.type === "paragraph"
+                      ? docxParagraph(docxRun(taskMark(item.checked)) + inline(child.children, part), {
+                          style: "ListParagraph",
+                          numbering,
+                        })
+                      : blocks([child], part, { style: "ListParagraph", indent, depth: depth + 1 })
+                  )
+                  .join("")
+              )
+              .join("");
+          }
+          case "blockquote":
+            return blocks(node.children, part, { ...scope, style: "Quote" });
+          case "alert":
+            return (
+              docxParagraph(docxRun(ALERT_TITLES[node.kind], { bold: true }), { ...scope, style: "Quote" }) +
+              blocks(node.children, part, { ...scope, style: "Quote" })
+            );
+          case "code":
+            return node.value
+              .split("\n")
+              .map((line) => docxParagraph(docxRun(line), { style: "SourceCode", indent: scope.indent }))
+              .join("");
+          case "table": {
+            const width = Math.floor(9360 / node.header.length);
+            const row = (cells, header) =>
+              `<w:tr>${header ? "<w:trPr><w:tblHeader/></w:trPr>" : ""}${cells
+                .map(
+                  (cell, column) =>
+                    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${docxParagraph(
+                      inline(cell, part, { bold: header }),
+                      { style: "TableText", align: DOCX_ALIGN[node.align[column]] }
+                    )}</w:tc>`
+                )
+                .join("")}</w:tr>`;
+            return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr><w:tblGrid>${node.header
+              .map(() => `<w:gridCol w:w="${width}"/>`)
+              .join("")}</w:tblGrid>${row(node.header, true)}${node.rows.map((cells) => row(cells, false)).join("")}</w:tbl>`;
+          }
+          case "thematicBreak":
+            return docxParagraph("", { style: "HorizontalLine" });
+          case "definitionList":
+            return node.entries
+              .map(
+                ({ term, definitions }) =>
+                  docxParagraph(inline(term, part), { style: "DefinitionTerm" }) +
+                  definitions.map((definition) => blocks(definition, part, { ...scope, style: "Definition" })).join("")
+              )
+              .join("");
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  const body = {
+    rels: createRelationships([
+      { id: "rId1", type: "styles", target: "styles.xml" },
+      { id: "rId2", type: "numbering", target: "numbering.xml" },
+      { id: "rId3", type: "footnotes", target: "footnotes.xml" },
+      { id: "rId4", type: "settings", target: "settings.xml" },
+    ]),
+  };
+  const notes = { rels: createRelationships() };
+
+  const document = `${XML_DECLARATION}<w:document ${W_NAMESPACES}><w:body>${blocks(
+    tree.children,
+    body
+  )}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const separator = (type, id) =>
+    `<w:footnote w:type="${type}" w:id="${id}"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:${type}/></w:r></w:p></w:footnote>`;
+  const footnotes = `${XML_DECLARATION}<w:footnotes ${W_NAMESPACES}>${separator("separator", -1)}${separator(
+    "continuationSeparator",
+    0
+  )}${tree.footnotes
+    .map(
+      (note, id) =>
+        `<w:footnote w:id="${id + 1}">${note
+          .map((block, i) =>
+            block.type === "paragraph"
+              ? docxParagraph(
+                  (i === 0
+                    ? '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> </w:t></w:r>'
+                    : "") + inline(block.children, notes),
+                  { style: "FootnoteText" }
+                )
+              : blocks([block], notes, { style: "FootnoteText" })
+          )
+          .join("")}</w:footnote>`
+    )
+    .join("")}</w:footnotes>`;
+
+  const numbering = `${XML_DECLARATION}<w:numbering ${W_NAMESPACES}>${docxAbstractNumbering(
+    0,
+    false
+  )}${docxAbstractNumbering(1, true)}${lists
+    .map(
+      ({ ordered, level, start }, i) =>
+        `<w:num w:numId="${i + 1}"><w:abstractNumId w:val="${ordered ? 1 : 0}"/>${
+          ordered ? `<w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="${start}"/></w:lvlOverride>` : ""
+        }</w:num>`
+    )
+    .join("")}</w:numbering>`;
+
+  return zipSync({
+    "[Content_Types].xml": strToU8(DOCX_CONTENT_TYPES),
+    "_rels/.rels": strToU8(DOCX_PACKAGE_RELS),
+    "word/document.xml": strToU8(document),
+    "word/_rels/document.xml.rels": strToU8(body.rels.toXml()),
+    "word/styles.xml": strToU8(DOCX_STYLES),
+    "word/numbering.xml": strToU8(numbering),
+    "word/footnotes.xml": strToU8(footnotes),
+    "word/_rels/footnotes.xml.rels": strToU8(notes.rels.toXml()),
+    "word/settings.xml": strToU8(DOCX_SETTINGS),
+  });
+};
+
+const ODT_MIME_TYPE = OFFICE_FORMATS.odt.mimeType;
+
+const ODF_NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'office:version="1.3"',
+].join(" ");
+
+const ODT_MANIFEST = `${XML_DECLARATION}<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.3">
+<manifest:file-entry manifest:full-path="/" manifest:version="1.3" manifest:media-type="${ODT_MIME_TYPE}"/>
+<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>
+<manifest:file-entry manifest:full-path="styles.xml" manifest:media-type="text/xml"/>
+</manifest:manifest>`;
+
+const ODT_HEADING_SIZES = ["16pt", "14pt", "13pt", "12pt", "11pt", "11pt"];
+
+const odtParagraphStyle = (name, display, parent, paragraph = "", text = "") =>
+  `<style:style style:name="${name}" style:display-name="${display}" style:family="paragraph"${
+    parent ? ` style:parent-style-name="${parent}"` : ""
+  }>${paragraph && `<style:paragraph-properties ${paragraph}/>`}${text && `<style:text-properties ${text}/>`}</style:style>`;
+
+const odtTextStyle = (name, display, text) =>
+  `<style:style style:name="${name}" style:display-name="${display}" style:family="text"><style:text-properties ${text}/></style:style>`;
+
+// Named styles match LibreOffice's own, so the document restyles like one written there
+const ODT_STYLES = `${XML_DECLARATION}<office:document-styles ${ODF_NAMESPACES}><office:styles>
+<style:default-style style:family="paragraph"><style:paragraph-properties fo:orphans="2" fo:widows="2"/><style:text-properties fo:font-family="Liberation Sans" fo:font-size="11pt"/></style:default-style>
+${odtParagraphStyle("Standard", "Default Paragraph Style", null)}
+${odtParagraphStyle("Text_20_body", "Body Text", "Standard", 'fo:margin-top="0in" fo:margin-bottom="0.1in" fo:line-height="115%"')}
+${odtParagraphStyle("Heading", "Heading", "Standard", 'fo:margin-top="0.17in" fo:margin-bottom="0.06in" fo:keep-with-next="always"', 'fo:font-weight="bold"')}
+${ODT_HEADING_SIZES.map(
+  (size, i) =>
+    `<style:style style:name="Heading_20_${i + 1}" style:display-name="Heading ${i + 1}" style:family="paragraph" style:parent-style-name="Heading" style:next-style-name="Text_20_body" style:default-outline-level="${
+      i + 1
+    }"><style:text-properties fo:font-size="${size}"/></style:style>`
+).join("\n")}
+${odtParagraphStyle("List", "List", "Text_20_body", 'fo:margin-bottom="0.04in"')}
+${odtParagraphStyle("Quotations", "Quotations", "Text_20_body", 'fo:margin-left="0.4in" fo:padding-left="0.1in" fo:border-left="1.5pt solid #bfbfbf"', 'fo:font-style="italic" fo:color="#404040"')}
+${odtParagraphStyle("Preformatted_20_Text", "Preformatted Text", "Standard", 'fo:margin-top="0in" fo:margin-bottom="0in" fo:background-color="#f2f2f2"', 'fo:font-family="Liberation Mono" fo:font-size="10pt"')}
+${odtParagraphStyle("List_20_Heading", "List Heading", "Standard", 'fo:margin-bottom="0.03in" fo:keep-with-next="always"', 'fo:font-weight="bold"')}
+${odtParagraphStyle("List_20_Contents", "List Contents", "Text_20_body", 'fo:margin-left="0.5in"')}
+${odtParagraphStyle("Horizontal_20_Line", "Horizontal Line", "Standard", 'fo:margin-bottom="0.2in" fo:border-bottom="0.5pt solid #a6a6a6" fo:padding="0in"', 'fo:font-size="4pt"')}
+${odtParagraphStyle("Table_20_Contents", "Table Contents", "Standard")}
+${odtParagraphStyle("Table_20_Heading", "Table Heading", "Table_20_Contents", "", 'fo:font-weight="bold"')}
+${odtParagraphStyle("Footnote", "Footnote", "Standard", 'fo:margin-left="0.2in" fo:text-indent="-0.2in"', 'fo:font-size="10pt"')}
+${odtTextStyle("Strong_20_Emphasis", "Strong Emphasis", 'fo:font-weight="bold"')}
+${odtTextStyle("Emphasis", "Emphasis", 'fo:font-style="italic"')}
+${odtTextStyle("Strikethrough", "Strikethrough", 'style:text-line-through-style="solid"')}
+${odtTextStyle("Source_20_Text", "Source Text", 'fo:font-family="Liberation Mono"')}
+${odtTextStyle("Internet_20_link", "Internet Link", 'fo:color="#000080" style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"')}
+${odtTextStyle("Visited_20_Internet_20_Link", "Visited Internet Link", 'fo:color="#800000" style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"')}
+<text:notes-configuration text:note-class="footnote" style:num-format="1" text:start-value="0" text:footnotes-position="page" text:start-numbering-at="document"/>
+</office:styles></office:document-styles>`;
+
+const ODT_ALIGN = { left: "start", center: "center", right: "end" };
+const ODT_NUMBER_FORMATS = ["1", "a", "i"];
+
+// Whitespace runs need <text:s/> to survive, as ODF collapses spaces
+const odtText = (value) =>
+  xml(value)
+    .replace(/\n/g, " ")
+    .replace(/\t/g, "<text:tab/>")
+    .replace(/ {2,}/g, (spaces) => ` <text:s text:c="${spaces.length - 1}"/>`)
+    .replace(/^ /, "<text:s/>");
+
+const odtSpan = (style, content) => `<text:span text:style-name="${style}">${content}</text:span>`;
+
+const odtLink = (href, content) =>
+  `<text:a xlink:type="simple" xlink:href="${xml(href)}" text:style-name="Internet_20_link" text:visited-style-name="Visited_20_Internet_20_Link">${content}</text:a>`;
+
+// One list style per top-level list, bullets or numbers at each depth as the list has them
+const odtListStyle = (name, kinds) =>
+  `<text:list-style style:name="${name}">${Array.from({ length: 10 }, (_, i) => {
+    const properties = `<style:list-level-properties text:list-level-position-and-space-mode="label-alignment"><style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${
+      (0.5 * (i + 1)).toFixed(2)
+    }in" fo:text-indent="-0.25in" fo:margin-left="${(0.5 * (i + 1)).toFixed(2)}in"/></style:list-level-properties>`;
+    return kinds[i] ?? kinds.at(-1)
+      ? `<text:list-level-style-number text:level="${i + 1}" style:num-suffix="." style:num-format="${
+          ODT_NUMBER_FORMATS[i % 3]
+        }">${properties}</text:list-level-style-number>`
+      : `<text:list-level-style-bullet text:level="${i + 1}" text:bullet-char="${
+          DOCX_BULLETS[i % 3]
+        }">${properties}</text:list-level-style-bullet>`;
+  }).join("")}</text:list-style>`;
+
+/**
+ * OpenDocument Text, as LibreOffice writes it: content and styles parts,
+ * with footnotes inline in the text where they are referenced.
+ */
+const toOdt = (tree) => {
+  const { slugs } = headingSlugs(tree);
+  const automatic = [
+    '<style:style style:name="Table" style:family="table"><style:table-properties style:width="6.5in" table:align="margins"/></style:style>',
+    '<style:style style:name="TableCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.04in" fo:border="0.5pt solid #000000"/></style:style>',
+    ...["Contents", "Heading"].flatMap((kind) =>
+      Object.values(ODT_ALIGN).map(
+        (align) =>
+          `<style:style style:name="Table${kind}_${align}" style:family="paragraph" style:parent-style-name="Table_20_${kind}"><style:paragraph-properties fo:text-align="${align}"/></style:style>`
+      )
+    ),
+  ];
+  let tables = 0;
+  let notes = 0;
+
+  const inline = (nodes) =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return odtText(node.value);
+          case "strong":
+            return odtSpan("Strong_20_Emphasis", inline(node.children));
+          case "em":
+            return odtSpan("Emphasis", inline(node.children));
+          case "strike":
+            return odtSpan("Strikethrough", inline(node.children));
+          case "inlineCode":
+            return odtSpan("Source_20_Text", odtText(node.value));
+          case "link":
+            return odtLink(node.href, inline(node.children));
+          case "image":
+            return odtLink(node.src, odtText(node.alt || node.src));
+          case "footnoteRef":
+            notes += 1;
+            return `<text:note text:id="ftn${notes}" text:note-class="footnote"><text:note-citation>${
+              node.id + 1
+            }</text:note-citation><text:note-body>${blocks(tree.footnotes[node.id] ?? [], {
+              style: "Footnote",
+            })}</text:note-body></text:note>`;
+          case "break":
+            return "<text:line-break/>";
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  // Whether each depth of a list and its sublists is numbered
+  const listKinds = (list, depth = 0, kinds = []) => {
+    kinds[depth] ??= list.ordered;
+    list.items.forEach((item) =>
+      item.children.filter((child) => child.type === "list").forEach((child) => listKinds(child, depth + 1, kinds))
+    );
+    return kinds;
+  };
+
+  const paragraph = (style, content) => `<text:p text:style-name="${style}">${content}</text:p>`;
+
+  const blocks = (nodes, scope = {}) =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "heading": {
+            const slug = slugs.get(node);
+            return `<text:h text:style-name="Heading_20_${node.level}" text:outline-level="${node.level}">${
+              slug ? `<text:bookmark text:name="${xml(slug)}"/>` : ""
+            }${inline(node.children)}</text:h>`;
+          }
+          case "paragraph":
+            return paragraph(scope.style ?? "Text_20_body", inline(node.children));
+          case "list": {
+            let style = "";
+            if (!scope.inList) {
+              const name = `L${automatic.length}`;
+              automatic.push(odtListStyle(name, listKinds(node)));
+              style = ` text:style-name="${name}"`;
+            }
+            return `<text:list${style}>${node.items
+              .map(
+                (item, i) =>
+                  `<text:list-item${
+                    i === 0 && node.ordered && node.start !== 1 ? ` text:start-value="${node.start}"` : ""
+                  }>${item.children
+                    .map((child, n) =>
+                      n === 0 && child.type === "paragraph"
+                        ? paragraph("List", odtText(taskMark(item.checked)) + inline(child.children))
+                        : blocks([child], { style: "List", inList: true })
+                    )
+                    .join("")}</text:list-item>`
+              )
+              .join("")}</text:list>`;
+          }
+          case "blockquote":
+            return blocks(node.children, { ...scope, style: "Quotations" });
+          case "alert":
+            return (
+              paragraph("Quotations", odtSpan("Strong_20_Emphasis", ALERT_TITLES[node.kind])) +
+              blocks(node.children, { ...scope, style: "Quotations" })
+            );
+          case "code":
+            return node.value
+              .split("\n")
+              .map((line) => paragraph("Preformatted_20_Text", odtText(line)))
+              .join("");
+          case "table": {
+            tables += 1;
+            const row = (cells, kind) =>
+              `<table:table-row>${cells
+                .map(
+                  (cell, column) =>
+                    `<table:table-cell table:style-name="TableCell" office:value-type="string">${paragraph(
+                      `Table${kind}_${ODT_ALIGN[node.align[column]] ?? "start"}`,
+                      inline(cell)
+                    )}</table:table-cell>`
+                )
+                .join("")}</table:table-row>`;
+            return `<table:table table:name="Table${tables}" table:style-name="Table"><table:table-column table:number-columns-repeated="${
+              node.header.length
+            }"/><table:table-header-rows>${row(node.header, "Heading")}</table:table-header-rows>${node.rows
+              .map((cells) => row(cells, "Contents"))
+              .join("")}</table:table>`;
+          }
+          case "thematicBreak":
+            return paragraph("Horizontal_20_Line", "");
+          case "definitionList":
+            return node.entries
+              .map(
+                ({ term, definitions }) =>
+                  paragraph("List_20_Heading", inline(term)) +
+                  definitions.map((definition) => blocks(definition, { ...scope, style: "List_20_Contents" })).join("")
+              )
+              .join("");
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  const text = blocks(tree.children);
+  const content = `${XML_DECLARATION}<office:document-content ${ODF_NAMESPACES}><office:automatic-styles>${automatic.join(
+    ""
+  )}</office:automatic-styles><office:body><office:text>${text}</office:text></office:body></office:document-content>`;
+
+  // The mimetype entry must come first and be stored uncompressed
+  return zipSync({
+    mimetype: [strToU8(ODT_MIME_TYPE), { level: 0 }],
+    "META-INF/manifest.xml": strToU8(ODT_MANIFEST),
+    "styles.xml": strToU8(ODT_STYLES),
+    "content.xml": strToU8(content),
+  });
+};
+
+// Writers by format, each returning the zipped file
+const RENDERERS = { docx: toDocx, odt: toOdt };
+
+/**
+ * Converts generated markdown to a word-processor file. Front matter is
+ * dropped.
+ *
+ * @function exportOfficeDocument
+ * @param {string} markdown
+ * @param {string} format - A key of OFFICE_FORMATS
+ * @returns {Uint8Array} File contents
+ */
+export const exportOfficeDocument = (markdown, format) =>
+  RENDERERS[format](parseDocument(markdown));
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Named option presets and the JSON file format used to share
+ * them. Files are checked against DEFAULT_OPTIONS and the accepted values,
+ * so a typo, a wrong value type, an out-of-range number or an option this
+ * version doesn't know is reported instead of being silently dropped or
+ * clamped.
+ */
+
+import {
+  DEFAULT_OPTIONS,
+  OPTION_CHOICES,
+  OPTION_RANGES,
+  normalizeOptions,
+} from "./generator.js";
+import { CODE_LANGUAGE_NAMES } from "./code.js";
+import { LENGTH_LIMITS } from "./length.js";
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name - Shown in the presets menu; unique per browser
+ * @property {GeneratorOptions} options
+ */
+
+/**
+ * @constant {string} PRESET_FILE_FORMAT
+ * @description Value of the `format` field that marks an Ipsumify preset file.
+ */
+export const PRESET_FILE_FORMAT = "ipsumify-presets";
+
+/**
+ * @constant {number} PRESET_FILE_VERSION
+ * @description Version written to exported files; newer files are rejected.
+ */
+export const PRESET_FILE_VERSION = 1;
+
+const typeOf = (value) =>
+  Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+// Problems with one option's value, once its type is right
+const valueErrors = (key, value, options) => {
+  if (OPTION_CHOICES[key] && !OPTION_CHOICES[key].includes(value)) {
+    return [`"${key}" must be one of ${OPTION_CHOICES[key].join(", ")}, got "${value}"`];
+  }
+  if (OPTION_RANGES[key]) {
+    const [min, max] = OPTION_RANGES[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return [`"${key}" must be a whole number from ${min} to ${max}, got ${value}`];
+    }
+  }
+  if (key === "lengthTarget") {
+    const unit = OPTION_CHOICES.lengthUnit.includes(options.lengthUnit)
+      ? options.lengthUnit
+      : DEFAULT_OPTIONS.lengthUnit;
+    if (!(value > 0)) return [`"lengthTarget" must be above 0, got ${value}`];
+    if (value > (LENGTH_LIMITS[unit] ?? Infinity)) {
+      return [`"lengthTarget" must be at most ${LENGTH_LIMITS[unit]} ${unit}, got ${value}`];
+    }
+  }
+  if (key === "codeLanguages") {
+    return value
+      .filter((name) => !CODE_LANGUAGE_NAMES.includes(name))
+      .map((name) => `unknown code language "${name}"`);
+  }
+  if (key === "frequencies") {
+    return Object.entries(value)
+      .filter(([, frequency]) => !(frequency >= 0 && frequency <= 100))
+      .map(([element, frequency]) => `"frequencies.${element}" must be from 0 to 100, got ${frequency}`);
+  }
+  if (key === "frontMatterKeys") {
+    const fields = Object.entries({ ...DEFAULT_OPTIONS.frontMatterKeys, ...value });
+    return fields.flatMap(([field, name], index) => {
+      const first = fields.findIndex(([, other]) => other === name);
+      return name && first < index
+        ? [`"frontMatterKeys.${field}" reuses the key "${name}" of "${fields[first][0]}"`]
+        : [];
+    });
+  }
+  return [];
+};
+
+// Problems with one preset's options, as readable messages
+const optionErrors = (options) => {
+  if (typeOf(options) !== "object") return ["options must be an object"];
+  const errors = Object.entries(options).flatMap(([key, value]) => {
+    if (!Object.hasOwn(DEFAULT_OPTIONS, key)) return [`unknown option "${key}"`];
+    const expected = typeOf(DEFAULT_OPTIONS[key]);
+    const actual = typeOf(value);
+    if (actual !== expected) return [`"${key}" must be a ${expected}, got ${actual}`];
+    if (expected === "array" && value.some((item) => typeof item !== "string")) {
+      return [`"${key}" must list strings`];
+    }
+    if (expected === "object") {
+      const fieldErrors = Object.entries(value).flatMap(([field, item]) => {
+        if (!Object.hasOwn(DEFAULT_OPTIONS[key], field)) return [`unknown field "${key}.${field}"`];
+        const fieldType = typeOf(DEFAULT_OPTIONS[key][field]);
+        return typeOf(item) === fieldType ? [] : [`"${key}.${field}" must be a ${fieldType}`];
+      });
+      if (fieldErrors.length) return fieldErrors;
+    }
+    return valueErrors(key, value, options);
+  });
+  // Pairs whose maximum may not fall below their minimum
+  for (const [min, max] of [
+    ["codeMinLines", "codeMaxLines"],
+    ["headingMinLevel", "headingMaxLevel"],
+  ]) {
+    const low = options[min] ?? DEFAULT_OPTIONS[min];
+    const high = options[max] ?? DEFAULT_OPTIONS[max];
+    if (Number.isInteger(low) && Number.isInteger(high) && high < low) {
+      errors.push(`"${max}" (${high}) must not be below "${min}" (${low})`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Checks one preset and returns it with normalized options. Options missing
+ * from the preset take their defaults.
+ *
+ * @function validatePreset
+ * @param {*} preset - Parsed JSON
+ * @returns {Preset}
+ * @throws {Error} Naming every problem found
+ */
+export const validatePreset = (preset) => {
+  if (typeOf(preset) !== "object") throw new Error("A preset must be an object");
+  const name = typeof preset.name === "string" ? preset.name.trim() : "";
+  if (!name) throw new Error("A preset needs a non-empty name");
+  const errors = optionErrors(preset.options);
+  if (errors.length) throw new Error(`Preset "${name}": ${errors.join("; ")}`);
+  return { name, options: normalizeOptions(preset.options) };
+};
+
+/**
+ * Serializes presets as a shareable JSON file.
+ *
+ * @function serializePresets
+ * @param {Preset[]} presets
+ * @returns {string}
+ */
+export const serializePresets = (presets) =>
+  `${JSON.stringify(
+    { format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets },
+    null,
+    2
+  )}\n`;
+
+/**
+ * Parses and checks a preset file written by `serializePresets`.
+ *
+ * @function parsePresetFile
+ * @param {string} text - File contents
+ * @returns {Preset[]}
+ * @throws {Error} If the file isn't JSON, isn't a preset file, comes from a
+ *   newer version, or any preset fails `validatePreset`
+ */
+export const parsePresetFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  if (typeOf(data) !== "object" || data.format !== PRESET_FILE_FORMAT) {
+    throw new Error("The file is not an Ipsumify preset file");
+  }
+  if (!Number.isInteger(data.version) || data.version > PRESET_FILE_VERSION) {
+    throw new Error(
+      `Unsupported preset file version ${data.version}; this version reads up to ${PRESET_FILE_VERSION}`
+    );
+  }
+  if (!Array.isArray(data.presets)) throw new Error("The file has no presets list");
+  return data.presets.map(validatePreset);
+};
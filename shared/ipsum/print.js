@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Print layout for the standalone HTML document: page size and
+ * margins, a running header with the document title, page numbers, page
+ * breaks before headings and table of contents page numbers.
+ *
+ * The rules use CSS Paged Media (`@page` and its margin boxes), which
+ * browsers apply when printing or saving as PDF. Table of contents numbers
+ * use `target-counter()` where the engine has it (Prince, WeasyPrint,
+ * Paged.js); browsers don't, so the page fills `data-page` on each entry
+ * before printing instead.
+ */
+
+/**
+ * @constant {Object<string, {label: string, width: string, height: string}>} PAGE_SIZES
+ * @description Paper sizes for `@page { size }`.
+ */
+export const PAGE_SIZES = Object.freeze({
+  letter: { label: "US Letter", width: "8.5in", height: "11in" },
+  legal: { label: "US Legal", width: "8.5in", height: "14in" },
+  a4: { label: "A4", width: "210mm", height: "297mm" },
+  a5: { label: "A5", width: "148mm", height: "210mm" },
+});
+
+/**
+ * @constant {Object<string, {label: string, size: string}>} PAGE_MARGINS
+ * @description Page margins; the running header and footer sit inside them.
+ */
+export const PAGE_MARGINS = Object.freeze({
+  narrow: { label: "Narrow (0.5 in)", size: "0.5in" },
+  normal: { label: "Normal (1 in)", size: "1in" },
+  wide: { label: "Wide (1.25 in)", size: "1.25in" },
+});
+
+/**
+ * @constant {Object<string, {label: string, selector: string}>} PAGE_BREAKS
+ * @description Which headings start a new page.
+ */
+export const PAGE_BREAKS = Object.freeze({
+  none: { label: "No forced breaks", selector: "" },
+  h1: { label: "Before top-level headings", selector: "h1" },
+  h2: { label: "Before top-level and section headings", selector: "h1, h2" },
+});
+
+/**
+ * @typedef {Object} PrintSettings
+ * @property {string} pageSize - A key of PAGE_SIZES
+ * @property {string} margins - A key of PAGE_MARGINS
+ * @property {string} pageBreaks - A key of PAGE_BREAKS
+ * @property {boolean} runningHeader - Document title at the top of every page after the first
+ * @property {boolean} pageNumbers - "Page n of m" at the bottom of every page
+ * @property {boolean} tocPageNumbers - Page numbers after table of contents entries
+ */
+
+/**
+ * @constant {PrintSettings} DEFAULT_PRINT_SETTINGS
+ */
+export const DEFAULT_PRINT_SETTINGS = Object.freeze({
+  pageSize: "letter",
+  margins: "normal",
+  pageBreaks: "none",
+  runningHeader: true,
+  pageNumbers: true,
+  tocPageNumbers: true,
+});
+
+/**
+ * Fills in defaults and replaces unknown choices with them.
+ *
+ * @function normalizePrintSettings
+ * @param {Partial<PrintSettings>} [settings]
+ * @returns {PrintSettings}
+ */
+export const normalizePrintSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_PRINT_SETTINGS, ...settings };
+  if (!PAGE_SIZES[merged.pageSize]) merged.pageSize = DEFAULT_PRINT_SETTINGS.pageSize;
+  if (!PAGE_MARGINS[merged.margins]) merged.margins = DEFAULT_PRINT_SETTINGS.margins;
+  if (!PAGE_BREAKS[merged.pageBreaks]) merged.pageBreaks = DEFAULT_PRINT_SETTINGS.pageBreaks;
+  return merged;
+};
+
+const cssString = (text) => `"${text.replace(/["\\]/g, "\\$&").replace(/\s+/g, " ")}"`;
+
+// Selector for the links of the generated table of contents (the list after the "Contents" heading)
+const TOC_LINKS = '#contents + ul a[href^="#"]';
+
+const MARGIN_BOX = "font: 9pt system-ui, -apple-system, sans-serif; color: #64748b;";
+
+/**
+ * Stylesheet that turns the standalone HTML document into a print layout, as
+ * the "print" template uses it. It replaces the screen layout's centered
+ * column, so the document is meant for printing only.
+ *
+ * @function printStylesheet
+ * @param {Partial<PrintSettings>} settings
+ * @param {string} [title] - Running header text; no header when empty
+ * @returns {string} CSS
+ */
+export const printStylesheet = (settings, title = "") => {
+  const { pageSize, margins, pageBreaks, runningHeader, pageNumbers, tocPageNumbers } =
+    normalizePrintSettings(settings);
+  const size = PAGE_SIZES[pageSize];
+  const breaks = PAGE_BREAKS[pageBreaks].selector;
+
+  const page = [
+    `size: ${size.width} ${size.height};`,
+    `margin: ${PAGE_MARGINS[margins].size};`,
+    runningHeader && title && `@top-center { content: ${cssString(title)}; ${MARGIN_BOX} }`,
+    pageNumbers && `@bottom-center { content: "Page " counter(page) " of " counter(pages); ${MARGIN_BOX} }`,
+  ].filter(Boolean);
+
+  return [
+    `@page { ${page.join(" ")} }`,
+    // The first page carries the title itself
+    runningHeader && title && "@page :first { @top-center { content: none; } }",
+    "body { max-width: none; margin: 0; padding: 0; font-size: 11pt; line-height: 1.5; }",
+    "h1, h2, h3, h4, h5, h6 { break-after: avoid; break-inside: avoid; }",
+    "p, li, dd { orphans: 3; widows: 3; }",
+    "pre, blockquote, tr, img, dt, .markdown-alert { break-inside: avoid; }",
+    "pre { overflow: visible; white-space: pre-wrap; overflow-wrap: anywhere; }",
+    "a { color: inherit; text-decoration: underline; }",
+    breaks && `:is(${breaks}):not(:first-child) { break-before: page; }`,
+    tocPageNumbers &&
+      `${TOC_LINKS} { display: flex; text-decoration: none; }
+${TOC_LINKS}::after {
+  flex: 1;
+  margin-inline-start: 0.5em;
+  border-bottom: 1px dotted #94a3b8;
+  text-align: end;
+  content: attr(data-page);
+  content: target-counter(attr(href url), page);
+}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Generator options as URL query parameters, for the page's
+ * permalinks. The parameter names and value forms are the ones
+ * `/api/generate` accepts, so a permalink's query also works against the API.
+ */
+
+import { DEFAULT_OPTIONS } from "./generator.js";
+
+// Booleans as "1"/"0", lists as "a,b", field maps as "key=value,key=value"
+// with only the fields that differ from the default map
+const toQueryValue = (value, fallback) => {
+  if (typeof fallback === "boolean") return value ? "1" : "0";
+  if (Array.isArray(fallback)) return Array.isArray(value) ? value.join(",") : String(value);
+  if (fallback && typeof fallback === "object") {
+    return Object.entries(value ?? {})
+      .filter(([key, item]) => item !== fallback[key])
+      .map(([key, item]) => `${key}=${item}`)
+      .join(",");
+  }
+  return String(value ?? "");
+};
+
+const toBoolean = (value) => !["false", "0", "no", "off"].includes(String(value).toLowerCase());
+
+/**
+ * Writes the options that differ from DEFAULT_OPTIONS as query parameters,
+ * so links stay short and an empty query means the defaults.
+ *
+ * @function optionsToQuery
+ * @param {Partial<GeneratorOptions>} options
+ * @returns {Object<string, string>}
+ */
+export const optionsToQuery = (options) => {
+  const query = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_OPTIONS)) {
+    if (options[key] === undefined) continue;
+    // A saved word list only matters when the custom vocabulary uses it
+    if (key === "customWords" && options.vocabulary !== "custom") continue;
+    const value = toQueryValue(options[key], fallback);
+    if (value !== toQueryValue(fallback, fallback)) query[key] = value;
+  }
+  return query;
+};
+
+/**
+ * Reads generator options back from query parameters. Only the keys present
+ * in the query are returned, still loosely typed; pass the result through
+ * `normalizeOptions` before use.
+ *
+ * @function optionsFromQuery
+ * @param {Object<string, string|string[]>} query - e.g. a vue-router `route.query`
+ * @returns {Partial<GeneratorOptions>}
+ */
+export const optionsFromQuery = (query) => {
+  const options = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_OPTIONS)) {
+    if (query[key] == null) continue;
+    // Repeated parameters add up for list options; otherwise the first one wins
+    const value = !Array.isArray(query[key])
+      ? query[key]
+      : Array.isArray(fallback)
+        ? query[key].join(",")
+        : query[key][0];
+    options[key] = typeof fallback === "boolean" ? toBoolean(value) : value;
+  }
+  return options;
+};
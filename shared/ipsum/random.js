@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Seeded pseudo-random number generation for Ipsumify.
+ *
+ * Every generator helper draws from a `random()` function created here, so
+ * the same seed plus the same options always produces the same document.
+ */
+
+/**
+ * Creates a seeded PRNG (mulberry32).
+ *
+ * @function createRandom
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Converts a user-supplied seed to an unsigned 32-bit integer.
+ * Numeric seeds are used as-is; any other text is hashed (FNV-1a).
+ *
+ * @function seedToNumber
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export const seedToNumber = (seed) => {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Picks a fresh random seed.
+ *
+ * @function newSeed
+ * @returns {string}
+ */
+export const newSeed = () => String(Math.floor(Math.random() * 4294967296));
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Non-Latin script word pools for layout stress testing, and
+ * script detection so the HTML export can mark text with `lang` and `dir`.
+ *
+ * A script entry is a vocabulary (see vocabularies.js) with extra fields that
+ * describe how its text is put together: the word separator (empty for Chinese,
+ * Japanese and Thai), sentence punctuation and writing direction.
+ */
+
+/**
+ * @typedef {Object} ScriptVocabulary
+ * @property {string} label - Human-readable name
+ * @property {string} lang - BCP 47 language tag
+ * @property {string} dir - "ltr" or "rtl"
+ * @property {string[]} words - Words or word-like units
+ * @property {string[]} headingWords - Words for headings and names
+ * @property {string} separator - Joins words within a sentence
+ * @property {string} sentenceEnd - Appended to each sentence
+ * @property {string} sentenceJoin - Joins sentences within a paragraph
+ */
+
+const script = (label, lang, dir, words, text = {}) => ({
+  label,
+  lang,
+  dir,
+  words,
+  headingWords: words,
+  separator: " ",
+  sentenceEnd: ".",
+  sentenceJoin: " ",
+  ...text,
+});
+
+/**
+ * @constant {Object<string, ScriptVocabulary>} SCRIPTS
+ * @description Built-in scripts, keyed by the value of the `script` option.
+ */
+export const SCRIPTS = Object.freeze({
+  chinese: script("Chinese (CJK)", "zh", "ltr", [
+    "数据", "系统", "社会", "发展", "研究", "问题", "时间", "工作", "世界",
+    "信息", "公共", "安全", "服务", "社区", "法院", "政策", "报告", "项目",
+    "资金", "评估", "预防", "青年", "家庭", "城市", "地区", "管理", "计划",
+    "我们", "他们", "可以", "已经", "通过", "关于", "以及", "重要", "需要",
+  ], { separator: "", sentenceEnd: "。", sentenceJoin: "" }),
+  japanese: script("Japanese (CJK)", "ja", "ltr", [
+    "データ", "システム", "社会", "研究", "問題", "時間", "仕事", "世界",
+    "情報", "安全", "サービス", "地域", "裁判所", "政策", "報告", "計画",
+    "わたしたち", "これから", "ために", "ついて", "そして", "しかし", "とても",
+    "あたらしい", "みんな", "ここで", "いつも", "すこし", "ひかり", "こころ",
+  ], { separator: "", sentenceEnd: "。", sentenceJoin: "" }),
+  korean: script("Korean (CJK)", "ko", "ltr", [
+    "데이터", "시스템", "사회", "연구", "문제", "시간", "세계", "정보",
+    "공공", "안전", "서비스", "지역", "법원", "정책", "보고서", "계획",
+    "우리는", "그리고", "하지만", "새로운", "중요한", "모든", "함께", "지금",
+    "사람들", "마음", "하늘", "바다", "이야기", "가능한",
+  ]),
+  arabic: script("Arabic (RTL)", "ar", "rtl", [
+    "العدالة", "البيانات", "المجتمع", "التقرير", "البرنامج", "الأمن",
+    "الخدمات", "المحكمة", "السياسة", "التمويل", "التقييم", "الوقاية",
+    "الشباب", "الأسرة", "المدينة", "المنطقة", "الإدارة", "الخطة", "في",
+    "من", "على", "إلى", "مع", "هذا", "التي", "كان", "بين", "جديد", "مهم",
+    "العام", "العمل", "الناس",
+  ]),
+  hebrew: script("Hebrew (RTL)", "he", "rtl", [
+    "צדק", "נתונים", "קהילה", "דוח", "תוכנית", "ביטחון", "שירותים",
+    "בית", "משפט", "מדיניות", "מימון", "הערכה", "מניעה", "נוער",
+    "משפחה", "עיר", "אזור", "ניהול", "של", "על", "עם", "זה", "היא",
+    "הוא", "בין", "חדש", "חשוב", "עבודה", "אנשים", "שנה",
+  ]),
+  cyrillic: script("Cyrillic (Russian)", "ru", "ltr", [
+    "данные", "система", "общество", "развитие", "исследование", "вопрос",
+    "время", "работа", "мир", "информация", "безопасность", "служба",
+    "сообщество", "суд", "политика", "отчёт", "проект", "оценка",
+    "молодёжь", "семья", "город", "район", "управление", "план", "и", "в",
+    "на", "с", "для", "это", "новый", "важный",
+  ]),
+  devanagari: script("Devanagari (Hindi)", "hi", "ltr", [
+    "डेटा", "प्रणाली", "समाज", "विकास", "अनुसंधान", "समस्या", "समय",
+    "काम", "दुनिया", "जानकारी", "सुरक्षा", "सेवा", "समुदाय", "न्यायालय",
+    "नीति", "रिपोर्ट", "परियोजना", "मूल्यांकन", "युवा", "परिवार", "शहर",
+    "क्षेत्र", "प्रबंधन", "योजना", "और", "में", "का", "की", "से", "यह",
+    "नया", "महत्वपूर्ण",
+  ], { sentenceEnd: "।" }),
+  thai: script("Thai (no spaces)", "th", "ltr", [
+    "ข้อมูล", "ระบบ", "สังคม", "การพัฒนา", "การวิจัย", "ปัญหา", "เวลา",
+    "งาน", "โลก", "ข่าวสาร", "ความปลอดภัย", "บริการ", "ชุมชน", "ศาล",
+    "นโยบาย", "รายงาน", "โครงการ", "การประเมิน", "เยาวชน", "ครอบครัว",
+    "เมือง", "พื้นที่", "การจัดการ", "แผน", "และ", "ใน", "ของ", "ที่",
+    "เป็น", "ได้", "ใหม่", "สำคัญ",
+  ], { separator: "", sentenceEnd: "", sentenceJoin: " " }),
+  diacritics: script("Combining diacritics", "vi", "ltr", [
+    "tiếng", "việt", "người", "những", "được", "trường", "nghiên", "cứu",
+    "dữ", "liệu", "cộng", "đồng", "phát", "triển", "quốc", "gia", "ảnh",
+    "hưởng", "chương", "trình", "Ǎ̧c̈c̃ėñt̂", "z̴̢a̵͓l̶g̷o̸", "ñ̃ã̃", "q̣̇ụ̣ạ̣",
+    "ė̄x̌t̂ȓă", "c͓̽o͓̽m͓̽b͓̽i͓̽n͓̽e͓̽d͓̽",
+  ]),
+  emoji: script("Emoji", "en", "ltr", [
+    "hello", "world", "team", "launch", "status", "update", "review",
+    "done", "🚀", "✅", "🎉", "👍🏽", "👩‍💻", "🧑🏿‍⚖️", "👨‍👩‍👧‍👦", "🏳️‍🌈",
+    "🇺🇸", "🇲🇽", "❤️", "🔥", "⚖️", "📊", "🗳️", "🛡️", "1️⃣", "#️⃣",
+  ]),
+});
+
+/**
+ * @constant {string[]} SCRIPT_NAMES
+ * @description Script keys, in the order "mixed" mode cycles through them.
+ */
+export const SCRIPT_NAMES = Object.keys(SCRIPTS);
+
+// Script detection, checked in order; Han without kana is taken as Chinese
+const DETECTORS = [
+  { lang: "ja", dir: "ltr", pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { lang: "ar", dir: "rtl", pattern: /\p{Script=Arabic}/gu },
+  { lang: "he", dir: "rtl", pattern: /\p{Script=Hebrew}/gu },
+  { lang: "ko", dir: "ltr", pattern: /\p{Script=Hangul}/gu },
+  { lang: "zh", dir: "ltr", pattern: /\p{Script=Han}/gu },
+  { lang: "ru", dir: "ltr", pattern: /\p{Script=Cyrillic}/gu },
+  { lang: "hi", dir: "ltr", pattern: /\p{Script=Devanagari}/gu },
+  { lang: "th", dir: "ltr", pattern: /\p{Script=Thai}/gu },
+  { lang: "vi", dir: "ltr", pattern: /[ăâđêôơưĂÂĐÊÔƠƯ]|[Ạ-ỹ]/gu },
+];
+
+/**
+ * Detects the main non-Latin script of a run of text.
+ *
+ * @function detectScript
+ * @param {string} text - Plain text or HTML; tags and URLs are ignored
+ * @returns {{lang: string, dir: string}|null} Null for Latin-script text
+ */
+export const detectScript = (text) => {
+  const plain = text.replace(/<[^>]*>/g, "").replace(/https?:\/\/\S+/g, "");
+  const latin = (plain.match(/\p{Script=Latin}/gu) || []).length;
+  const counts = DETECTORS.map((detector) => (plain.match(detector.pattern) || []).length);
+  const bestCount = Math.max(...counts);
+  if (!bestCount) return null;
+  // Japanese mixes kana with kanji, so any kana wins over a Han majority
+  let best = DETECTORS[counts.indexOf(bestCount)];
+  if (best.lang === "zh" && counts[0] > 0) best = DETECTORS[0];
+  // Vietnamese is Latin script; its marker letters only need to be present
+  if (best.lang !== "vi" && bestCount < latin / 2) return null;
+  return { lang: best.lang, dir: best.dir };
+};
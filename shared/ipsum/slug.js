@@ -0,0 +1,43 @@
+/**
+ * @fileoverview GitHub-style heading anchors, shared by the generator's table
+ * of contents and the HTML export so TOC links resolve in both.
+ */
+
+/**
+ * Turns heading text into an anchor id: lowercase, punctuation removed,
+ * spaces replaced by hyphens.
+ *
+ * @function slugify
+ * @param {string} text
+ * @returns {string}
+ */
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+
+/**
+ * Creates a slugger that de-duplicates repeated headings the way GitHub
+ * does (`intro`, `intro-1`, `intro-2`). Call it once per heading, in
+ * document order.
+ *
+ * @function createSlugger
+ * @returns {(text: string) => string}
+ */
+export const createSlugger = () => {
+  const seen = new Map();
+  return (text) => {
+    const base = slugify(text);
+    let slug = base;
+    let count = seen.get(base) || 0;
+    while (seen.has(slug)) {
+      count += 1;
+      slug = `${base}-${count}`;
+    }
+    seen.set(base, count);
+    seen.set(slug, 0);
+    return slug;
+  };
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Syntax highlighting for fenced code, with highlight.js. Pass
+ * `highlightCode` as the `highlight` option of renderMarkdown or
+ * markdownToHtml. It lives apart from html.js, and out of the index.js
+ * exports, so the page only downloads highlight.js once highlighting is on.
+ */
+
+import hljs from "highlight.js/lib/core";
+import javascript from "highlight.js/lib/languages/javascript";
+import typescript from "highlight.js/lib/languages/typescript";
+import python from "highlight.js/lib/languages/python";
+import go from "highlight.js/lib/languages/go";
+import rust from "highlight.js/lib/languages/rust";
+import java from "highlight.js/lib/languages/java";
+import csharp from "highlight.js/lib/languages/csharp";
+import bash from "highlight.js/lib/languages/bash";
+import shell from "highlight.js/lib/languages/shell";
+import sql from "highlight.js/lib/languages/sql";
+import json from "highlight.js/lib/languages/json";
+import yaml from "highlight.js/lib/languages/yaml";
+import xml from "highlight.js/lib/languages/xml";
+import css from "highlight.js/lib/languages/css";
+import diff from "highlight.js/lib/languages/diff";
+
+// Only the languages the generator writes; "shell" covers `console` and xml covers `html`
+Object.entries({
+  javascript, typescript, python, go, rust, java, csharp, bash, shell, sql, json, yaml, xml, css, diff,
+}).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+/**
+ * Wraps code tokens in highlight.js `hljs-*` spans.
+ *
+ * @function highlightCode
+ * @param {string} code
+ * @param {string} lang - Language of the fence
+ * @returns {string} HTML, or "" for an unknown language, which leaves it to
+ *   markdown-it's escaped default
+ */
+export const highlightCode = (code, lang) =>
+  hljs.getLanguage(lang) ? hljs.highlight(code, { language: lang, ignoreIllegals: true }).value : "";
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Stylesheets for the HTML export templates. `markdownToHtml`
+ * wraps the rendered document in one of these, or returns the bare fragment.
+ */
+
+const LIGHT = {
+  scheme: "light",
+  text: "#1e293b",
+  background: "#ffffff",
+  muted: "#475569",
+  surface: "#f1f5f9",
+  header: "#f8fafc",
+  border: "#e2e8f0",
+  quote: "#cbd5e1",
+  link: "#2563eb",
+  note: "#2563eb",
+  tip: "#16a34a",
+  important: "#9333ea",
+  warning: "#d97706",
+  caution: "#dc2626",
+  keyword: "#cf222e",
+  string: "#0a3069",
+  number: "#0550ae",
+  title: "#8250df",
+  name: "#116329",
+  variable: "#953800",
+  comment: "#6e7781",
+  addition: "#116329; background: #dafbe1",
+  deletion: "#82071e; background: #ffebe9",
+};
+
+const DARK = {
+  scheme: "dark",
+  text: "#e2e8f0",
+  background: "#0f172a",
+  muted: "#94a3b8",
+  surface: "#1e293b",
+  header: "#1e293b",
+  border: "#334155",
+  quote: "#475569",
+  link: "#60a5fa",
+  note: "#60a5fa",
+  tip: "#4ade80",
+  important: "#c084fc",
+  warning: "#fbbf24",
+  caution: "#f87171",
+  keyword: "#ff7b72",
+  string: "#a5d6ff",
+  number: "#79c0ff",
+  title: "#d2a8ff",
+  name: "#7ee787",
+  variable: "#ffa657",
+  comment: "#8b949e",
+  addition: "#aff5b4; background: #033a16",
+  deletion: "#ffdcd7; background: #67060c",
+};
+
+// The project's own look, in either palette
+const styled = (colors) => `:root { color-scheme: ${colors.scheme}; }
+body {
+  max-width: 800px;
+  margin: 2rem auto;
+  padding: 0 1rem;
+  font-family: system-ui, -apple-system, sans-serif;
+  line-height: 1.6;
+  color: ${colors.text};
+  background: ${colors.background};
+}
+pre {
+  background: ${colors.surface};
+  padding: 1rem;
+  overflow-x: auto;
+  margin: 1.5rem 0;
+  border-radius: 8px;
+}
+pre code { padding: 0; background: none; }
+.hljs-keyword, .hljs-built_in, .hljs-type, .hljs-selector-tag { color: ${colors.keyword}; }
+.hljs-string, .hljs-regexp { color: ${colors.string}; }
+.hljs-number, .hljs-literal, .hljs-attr, .hljs-attribute, .hljs-property { color: ${colors.number}; }
+.hljs-title, .hljs-selector-class, .hljs-section { color: ${colors.title}; }
+.hljs-name, .hljs-tag { color: ${colors.name}; }
+.hljs-variable, .hljs-params, .hljs-meta { color: ${colors.variable}; }
+.hljs-comment { color: ${colors.comment}; }
+.hljs-addition { color: ${colors.addition}; }
+.hljs-deletion { color: ${colors.deletion}; }
+code {
+  background: ${colors.surface};
+  padding: 0.2rem 0.4rem;
+  border-radius: 4px;
+  font-family: 'JetBrains Mono', monospace;
+}
+ul, ol {
+  margin: 1.5rem 0;
+  padding-inline-start: 2rem;
+}
+li > ul, li > ol { margin: 0; }
+.contains-task-list { list-style: none; }
+.task-list-item input { margin-inline-end: 0.4rem; }
+li { margin: 0; padding: 0; line-height: 1.5; }
+h1, h2, h3, h4, h5, h6 { margin-top: 2rem; margin-bottom: 1rem; }
+p { margin: 1rem 0; }
+blockquote {
+  margin: 1.5rem 0;
+  padding: 0.25rem 1rem;
+  border-inline-start: 4px solid ${colors.quote};
+  color: ${colors.muted};
+}
+table {
+  width: 100%;
+  margin: 1.5rem 0;
+  border-collapse: collapse;
+}
+th, td {
+  padding: 0.5rem 0.75rem;
+  border: 1px solid ${colors.border};
+}
+th { background: ${colors.header}; }
+img { max-width: 100%; height: auto; }
+hr { margin: 2rem 0; border: 0; border-top: 1px solid ${colors.border}; }
+dt { font-weight: 600; margin-top: 1rem; }
+dd { margin: 0.25rem 0 0; margin-inline-start: 1.5rem; }
+.footnotes { margin-top: 3rem; font-size: 0.9rem; }
+.markdown-alert {
+  margin: 1.5rem 0;
+  padding: 0.5rem 1rem;
+  border-inline-start: 4px solid ${colors.note};
+}
+.markdown-alert-title { font-weight: 600; }
+.markdown-alert-tip { border-color: ${colors.tip}; }
+.markdown-alert-important { border-color: ${colors.important}; }
+.markdown-alert-warning { border-color: ${colors.warning}; }
+.markdown-alert-caution { border-color: ${colors.caution}; }
+a { color: ${colors.link}; text-decoration: none; }
+a:hover { text-decoration: underline; }`;
+
+const MINIMAL = `body {
+  max-width: 70ch;
+  margin: 2rem auto;
+  padding: 0 1rem;
+  font-family: system-ui, -apple-system, sans-serif;
+  line-height: 1.5;
+}
+pre { overflow-x: auto; }
+img { max-width: 100%; height: auto; }
+table { border-collapse: collapse; }
+th, td { padding: 0.25rem 0.5rem; border: 1px solid; }
+.contains-task-list { list-style: none; }`;
+
+// Close to GitHub's rendering of a README
+const GITHUB = `body {
+  box-sizing: border-box;
+  max-width: 980px;
+  margin: 0 auto;
+  padding: 45px;
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "Noto Sans", Helvetica, Arial, sans-serif;
+  font-size: 16px;
+  line-height: 1.5;
+  color: #1f2328;
+  background: #ffffff;
+  overflow-wrap: break-word;
+}
+@media (max-width: 767px) { body { padding: 15px; } }
+h1, h2, h3, h4, h5, h6 { margin: 24px 0 16px; font-weight: 600; line-height: 1.25; }
+h1 { font-size: 2em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0b3; }
+h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0b3; }
+h3 { font-size: 1.25em; }
+h4 { font-size: 1em; }
+h5 { font-size: 0.875em; }
+h6 { font-size: 0.85em; color: #59636e; }
+p, blockquote, ul, ol, dl, table, pre, .markdown-alert { margin: 0 0 16px; }
+a { color: #0969da; text-decoration: underline; text-underline-offset: 0.2rem; }
+ul, ol { padding-inline-start: 2em; }
+li + li { margin-top: 0.25em; }
+li > ul, li > ol { margin: 0; }
+.contains-task-list { list-style: none; padding-inline-start: 0; }
+.task-list-item input { margin-inline-end: 0.4em; vertical-align: middle; }
+blockquote { padding: 0 1em; color: #59636e; border-inline-start: 0.25em solid #d1d9e0; }
+code {
+  padding: 0.2em 0.4em;
+  font-family: ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, "Liberation Mono", monospace;
+  font-size: 85%;
+  background: #818b981f;
+  border-radius: 6px;
+}
+pre {
+  padding: 16px;
+  overflow: auto;
+  font-size: 85%;
+  line-height: 1.45;
+  background: #f6f8fa;
+  border-radius: 6px;
+}
+pre code { padding: 0; font-size: 100%; background: none; }
+.hljs-keyword, .hljs-built_in, .hljs-type, .hljs-selector-tag { color: #cf222e; }
+.hljs-string, .hljs-regexp { color: #0a3069; }
+.hljs-number, .hljs-literal, .hljs-attr, .hljs-attribute, .hljs-property { color: #0550ae; }
+.hljs-title, .hljs-selector-class, .hljs-section { color: #8250df; }
+.hljs-name, .hljs-tag { color: #116329; }
+.hljs-variable, .hljs-params, .hljs-meta { color: #953800; }
+.hljs-comment { color: #59636e; }
+.hljs-addition { color: #116329; background: #dafbe1; }
+.hljs-deletion { color: #82071e; background: #ffebe9; }
+table { display: block; width: max-content; max-width: 100%; overflow: auto; border-collapse: collapse; }
+th, td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+th { font-weight: 600; }
+tr:nth-child(2n) { background: #f6f8fa; }
+img { max-width: 100%; box-sizing: content-box; }
+hr { height: 0.25em; margin: 24px 0; padding: 0; background: #d1d9e0; border: 0; }
+dt { margin-top: 16px; font-style: italic; font-weight: 600; }
+dd { margin: 0 0 16px; padding: 0 16px; }
+.footnotes { font-size: 12px; color: #59636e; border-top: 1px solid #d1d9e0; }
+.markdown-alert { padding: 8px 16px; border-inline-start: 0.25em solid #0969da; }
+.markdown-alert-title { font-weight: 500; color: #0969da; }
+.markdown-alert > :last-child { margin-bottom: 0; }
+.markdown-alert-tip { border-color: #1a7f37; }
+.markdown-alert-tip .markdown-alert-title { color: #1a7f37; }
+.markdown-alert-important { border-color: #8250df; }
+.markdown-alert-important .markdown-alert-title { color: #8250df; }
+.markdown-alert-warning { border-color: #9a6700; }
+.markdown-alert-warning .markdown-alert-title { color: #9a6700; }
+.markdown-alert-caution { border-color: #d1242f; }
+.markdown-alert-caution .markdown-alert-title { color: #d1242f; }`;
+
+/**
+ * @typedef {Object} HtmlTemplate
+ * @property {string} label - Human-readable name
+ * @property {boolean} standalone - Whether it makes a complete document; the
+ *   bare fragment is the rendered body only, for pasting into another page
+ * @property {string} css - The template's stylesheet
+ * @property {boolean} [print] - Adds the print layout (see print.js)
+ */
+
+/**
+ * @constant {Object<string, HtmlTemplate>} HTML_TEMPLATES
+ * @description Templates for `markdownToHtml`, keyed by the `template` option.
+ */
+export const HTML_TEMPLATES = Object.freeze({
+  fragment: { label: "Bare fragment", standalone: false, css: "" },
+  minimal: { label: "Minimal", standalone: true, css: MINIMAL },
+  light: { label: "Styled (light)", standalone: true, css: styled(LIGHT) },
+  dark: { label: "Styled (dark)", standalone: true, css: styled(DARK) },
+  github: { label: "GitHub-like", standalone: true, css: GITHUB },
+  print: { label: "Print", standalone: true, css: styled(LIGHT), print: true },
+});
+
+/**
+ * @constant {string} DEFAULT_HTML_TEMPLATE
+ */
+export const DEFAULT_HTML_TEMPLATE = "light";
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Word pools for generated text.
+ *
+ * Each vocabulary has `words` for sentences, lists and tables and
+ * `headingWords` for headings, names and terms. A vocabulary may also have an
+ * `opening` sentence that starts the first paragraph of the document.
+ */
+
+/**
+ * @typedef {Object} Vocabulary
+ * @property {string} label - Human-readable name
+ * @property {string} [lang] - BCP 47 language tag of the text; custom word lists have none
+ * @property {string[]} words - Body text words, lowercase unless proper nouns
+ * @property {string[]} headingWords - Capitalized words for headings and names
+ * @property {string} [opening] - Fixed first sentence of the document
+ */
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const classicWords = [
+  "lorem", "ipsum", "dolor", "sit", "amet", "consectetur", "adipiscing",
+  "elit", "sed", "do", "eiusmod", "tempor", "incididunt", "ut", "labore",
+  "et", "dolore", "magna", "aliqua", "enim", "ad", "minim", "veniam", "quis",
+  "nostrud", "exercitation", "ullamco", "laboris", "nisi", "aliquip", "ex",
+  "ea", "commodo", "consequat", "duis", "aute", "irure", "in",
+  "reprehenderit", "voluptate", "velit", "esse", "cillum", "fugiat", "nulla",
+  "pariatur", "excepteur", "sint", "occaecat", "cupidatat", "non", "proident",
+  "sunt", "culpa", "qui", "officia", "deserunt", "mollit", "anim", "id", "est",
+  "laborum",
+];
+
+const latinHeadingWords = [
+  "Aether", "Bellum", "Carmen", "Deus", "Enim", "Fatum", "Gloria", "Homo",
+  "Idem", "Jugum", "Lumen", "Mare", "Nox", "Opus", "Pax", "Quam", "Rex",
+  "Sol", "Tempus", "Umbra", "Vita", "Vox", "Terra", "Sanctum", "Virtus",
+  "Manus", "Caelum", "Anima", "Stella", "Ventus", "Magnus", "Patria",
+  "Fortis", "Sapiens", "Veritas", "Natura", "Vis", "Lex", "Fides", "Amor",
+  "Mors", "Pater", "Mater", "Filius", "Roma", "Diem", "Numen", "Corpus",
+  "Annus", "Ignis", "Aqua", "Arbor", "Mons",
+];
+
+const latinWords = [
+  "Lorem", "ipsum", "dolor", "sit", "amet", "consectetur", "adipiscing",
+  "elit", "caligine", "fassaque", "portitor", "fine", "summo", "bis",
+  "est", "orbus", "aether", "bellum", "carmen", "deus", "enim", "fatum",
+  "gloria", "homo", "idem", "jugum", "lumen", "mare", "nox", "opus",
+  "pax", "quam", "rex", "sol", "tempus", "umbra", "vita", "vox",
+  "terra", "sanctum", "virtus", "manus", "caelum", "anima", "stella", "ventus",
+];
+
+const englishWords = [
+  "the", "of", "and", "to", "in", "for", "with", "on", "by", "from", "about",
+  "across", "every", "other", "simple", "quiet", "early", "careful", "open",
+  "small", "bright", "common", "steady", "local", "public", "recent", "clear",
+  "system", "river", "window", "garden", "number", "morning", "letter",
+  "story", "market", "corner", "season", "signal", "pattern", "table",
+  "station", "project", "journey", "picture", "village", "moment", "record",
+  "builds", "carries", "follows", "gathers", "holds", "keeps", "makes",
+  "moves", "opens", "reaches", "shows", "turns", "waits", "writes", "slowly",
+  "often", "nearly", "always", "together", "again", "still", "perhaps",
+];
+
+const legalWords = [
+  "the", "of", "and", "to", "under", "pursuant", "hereinafter", "herein",
+  "thereof", "whereas", "notwithstanding", "provided", "shall", "may",
+  "party", "parties", "plaintiff", "defendant", "counsel", "court", "motion",
+  "statute", "clause", "section", "subsection", "agreement", "contract",
+  "covenant", "obligation", "liability", "indemnity", "damages", "remedy",
+  "breach", "claim", "jurisdiction", "venue", "appeal", "affidavit",
+  "deposition", "discovery", "evidence", "judgment", "injunction", "tort",
+  "negligence", "consideration", "warranty", "waiver", "execution",
+  "amendment", "arbitration", "settlement", "filing", "precedent", "binding",
+  "enforceable", "void", "material", "reasonable", "written", "prior",
+  "applicable", "respective",
+];
+
+const governmentWords = [
+  "the", "of", "and", "to", "for", "by", "under", "within", "agency",
+  "department", "office", "board", "commission", "council", "committee",
+  "legislature", "ordinance", "statute", "regulation", "rule", "policy",
+  "program", "grant", "appropriation", "budget", "fiscal", "procurement",
+  "contract", "vendor", "compliance", "audit", "oversight", "report",
+  "constituent", "resident", "county", "municipal", "state", "federal",
+  "public", "hearing", "notice", "comment", "period", "review", "approval",
+  "implementation", "administration", "funding", "allocation", "eligible",
+  "applicants", "stakeholders", "outreach", "services", "performance",
+  "measures", "annual", "quarterly", "statewide", "interagency",
+];
+
+const criminalJusticeWords = [
+  "the", "of", "and", "to", "for", "in", "arrest", "booking", "detention",
+  "pretrial", "release", "bond", "arraignment", "charge", "felony",
+  "misdemeanor", "prosecution", "defense", "plea", "trial", "verdict",
+  "sentencing", "probation", "parole", "supervision", "incarceration",
+  "corrections", "facility", "reentry", "recidivism", "diversion",
+  "deflection", "treatment", "victim", "services", "advocacy", "offender",
+  "youth", "juvenile", "court", "docket", "disposition", "law", "enforcement",
+  "officer", "agency", "data", "records", "reporting", "incident", "violent",
+  "crime", "rates", "trends", "analysis", "evaluation", "outcomes", "program",
+  "funding", "grantees", "community", "safety", "prevention", "intervention",
+  "restorative", "justice", "jurisdiction", "statewide", "Illinois",
+];
+
+/**
+ * @constant {Object<string, Vocabulary>} VOCABULARIES
+ * @description Built-in vocabularies, keyed by the value of the `vocabulary` option.
+ */
+export const VOCABULARIES = Object.freeze({
+  latin: {
+    label: "Latin (Ipsumify)",
+    lang: "la",
+    words: latinWords,
+    headingWords: latinHeadingWords,
+  },
+  classic: {
+    label: "Classic Lorem Ipsum",
+    lang: "la",
+    words: classicWords,
+    headingWords: classicWords.map(capitalize),
+    opening:
+      "Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.",
+  },
+  english: {
+    label: "English-like",
+    lang: "en",
+    words: englishWords,
+    headingWords: englishWords.filter((word) => word.length > 3).map(capitalize),
+  },
+  legal: {
+    label: "Legal",
+    lang: "en",
+    words: legalWords,
+    headingWords: legalWords.filter((word) => word.length > 3).map(capitalize),
+  },
+  government: {
+    label: "Government",
+    lang: "en",
+    words: governmentWords,
+    headingWords: governmentWords.filter((word) => word.length > 3).map(capitalize),
+  },
+  criminalJustice: {
+    label: "Criminal justice",
+    lang: "en",
+    words: criminalJusticeWords,
+    headingWords: criminalJusticeWords.filter((word) => word.length > 3).map(capitalize),
+  },
+});
+
+/**
+ * Splits a pasted or uploaded word list on whitespace, commas and
+ * semicolons, dropping duplicates.
+ *
+ * @function parseWordList
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseWordList = (text) => [
+  ...new Set(
+    String(text || "")
+      .split(/[\s,;]+/)
+      .map((word) => word.trim())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Resolves the vocabulary named by the options. "custom" uses `customWords`
+ * and falls back to Latin when the list has fewer than two distinct words.
+ *
+ * @function resolveVocabulary
+ * @param {{vocabulary: string, customWords: string}} options
+ * @returns {Vocabulary}
+ */
+export const resolveVocabulary = ({ vocabulary, customWords }) => {
+  if (vocabulary === "custom") {
+    const words = parseWordList(customWords);
+    const headingWords = [...new Set(words.map(capitalize))];
+    if (headingWords.length >= 2) {
+      return { label: "Custom", words, headingWords };
+    }
+    return VOCABULARIES.latin;
+  }
+  return VOCABULARIES[vocabulary] || VOCABULARIES.latin;
+};
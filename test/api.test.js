@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import * as h3 from "h3";
+import { generate, exportMarkdown } from "../shared/ipsum/index.js";
+
+register("./helpers/server-aliases.js", import.meta.url);
+
+// Nitro auto-imports these into server routes
+const { defineEventHandler, getQuery, readBody, getHeader, setHeader, createError } = h3;
+Object.assign(globalThis, { defineEventHandler, getQuery, readBody, getHeader, setHeader, createError });
+
+const { default: handler } = await import("../server/api/generate.js");
+const api = h3.toWebHandler(h3.createApp().use("/api/generate", handler));
+
+const request = (query = "", init = {}) =>
+  api(new Request(`http://localhost/api/generate${query}`, init));
+
+test("query options and the seed reproduce the library output as markdown", async () => {
+  const response = await request("?seed=42&numBlocks=3&codeBlocks=true&noLists=0");
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "text/markdown; charset=utf-8");
+  assert.equal(response.headers.get("x-ipsumify-seed"), "42");
+  assert.equal(
+    await response.text(),
+    generate({ seed: "42", numBlocks: 3, codeBlocks: true, noLists: false }).markdown
+  );
+});
+
+test("the format parameter wins over the Accept header", async () => {
+  const { markdown } = generate({ seed: "7", tables: true });
+  const response = await request("?seed=7&tables=1&format=asciidoc", {
+    headers: { accept: "application/json" },
+  });
+  assert.equal(response.headers.get("content-type"), "text/asciidoc; charset=utf-8");
+  assert.equal(await response.text(), exportMarkdown(markdown, "adoc"));
+});
+
+test("without a format, the Accept header picks JSON or HTML", async () => {
+  const json = await request("?seed=7", { headers: { accept: "application/json" } });
+  assert.equal(json.headers.get("content-type"), "application/json; charset=utf-8");
+  const { seed, options, length, blocks, markdown } = await json.json();
+  assert.equal(seed, "7");
+  assert.equal(options.seed, "7");
+  assert.deepEqual(length, { unit: "blocks", requested: 10, achieved: 10 });
+  assert.equal(markdown, blocks.map((block) => block.markdown).join(""));
+
+  const html = await request("?seed=7&vocabulary=english&template=github", {
+    headers: { accept: "text/html,application/xhtml+xml" },
+  });
+  assert.equal(html.headers.get("content-type"), "text/html; charset=utf-8");
+  assert.match(await html.text(), /^<!DOCTYPE html>\n<html lang="en" dir="ltr">/);
+});
+
+test("a POSTed JSON body adds to the query options", async () => {
+  const response = await request("?seed=9", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ numBlocks: 2, footnotes: true, format: "txt" }),
+  });
+  const { markdown } = generate({ seed: "9", numBlocks: 2, footnotes: true });
+  assert.equal(await response.text(), exportMarkdown(markdown, "txt"));
+});
+
+test("invalid values are rejected with 400 and the reason", async () => {
+  for (const [query, message] of [
+    ["?numBlocks=11", /numBlocks must be an integer from 1 to 10/],
+    ["?numBlocks=two", /numBlocks must be an integer/],
+    ["?lengthTarget=0", /lengthTarget must be a positive number/],
+    ["?format=pdf", /Unknown format "pdf"/],
+    ["?template=fancy", /Unknown template "fancy"/],
+  ]) {
+    const response = await request(query);
+    assert.equal(response.status, 400, query);
+    assert.match((await response.json()).statusMessage, message);
+  }
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { generate, exportMarkdown } from "../shared/ipsum/index.js";
+
+const CLI = fileURLToPath(new URL("../bin/ipsumify.mjs", import.meta.url));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+test("--help prints the usage and exits cleanly", () => {
+  const { status, stdout } = run("--help");
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: ipsumify \[options\]/);
+  assert.match(stdout, /--code-languages <value>/);
+});
+
+test("flags map to generator options and a seed reproduces the library output", () => {
+  const { status, stdout } = run("--seed", "42", "--blocks", "3", "--code-blocks", "--tables");
+  assert.equal(status, 0);
+  assert.equal(stdout, generate({ seed: "42", numBlocks: 3, codeBlocks: true, tables: true }).markdown);
+});
+
+test("--format picks the exporter and --template the HTML page", () => {
+  const { markdown } = generate({ seed: "7", footnotes: true });
+  assert.equal(run("--seed", "7", "--footnotes", "--format", "rst").stdout, exportMarkdown(markdown, "rst"));
+
+  const page = run("--seed", "7", "--format", "html", "--vocabulary", "english").stdout;
+  assert.match(page, /^<!DOCTYPE html>\n<html lang="en" dir="ltr">/);
+  const fragment = run("--seed", "7", "--format", "html", "--template", "fragment").stdout;
+  assert.doesNotMatch(fragment, /<!DOCTYPE|<style>/);
+  const linked = run("--seed", "7", "--format", "html", "--stylesheet", "/site.css").stdout;
+  assert.match(linked, /<link rel="stylesheet" href="\/site\.css">/);
+});
+
+test("--out writes the file and reports the seed on stderr", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ipsumify-"));
+  try {
+    const out = path.join(dir, "nested", "sample.md");
+    const { status, stdout, stderr } = run("--seed", "abc", "--out", out);
+    assert.equal(status, 0);
+    assert.equal(stdout, "");
+    assert.match(stderr, /Wrote .*sample\.md \(seed abc\)/);
+    assert.equal(fs.readFileSync(out, "utf8"), generate({ seed: "abc" }).markdown);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("bad flags and values exit with status 1 and the usage", () => {
+  for (const [args, message] of [
+    [["--blocks", "11"], /--blocks must be an integer from 1 to 10/],
+    [["--blocks", "two"], /--blocks must be an integer/],
+    [["--length-target", "0"], /--length-target must be a positive number/],
+    [["--format", "pdf"], /Unknown format "pdf"/],
+    [["--template", "fancy"], /Unknown template "fancy"/],
+    [["--no-such-flag"], /Unknown option '--no-such-flag'/],
+  ]) {
+    const { status, stdout, stderr } = run(...args);
+    assert.equal(status, 1, args.join(" "));
+    assert.equal(stdout, "");
+    assert.match(stderr, message);
+    assert.match(stderr, /Usage: ipsumify/);
+  }
+});
@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateSnippet, createRandom } from "../shared/ipsum/index.js";
+
+test("diff snippets have hunk headers that count the lines after them", () => {
+  for (let seed = 1; seed <= 50; seed++) {
+    const lines = generateSnippet(createRandom(seed), "diff", 4 + (seed % 12)).split("\n");
+    const [, oldCount, newCount] = lines[2].match(/^@@ -\d+,(\d+) \+\d+,(\d+) @@$/).map(Number);
+    const body = lines.slice(3);
+    assert.equal(oldCount, body.filter((line) => line[0] !== "+").length);
+    assert.equal(newCount, body.filter((line) => line[0] !== "-").length);
+  }
+});
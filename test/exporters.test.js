@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportMarkdown, EXPORT_FORMATS } from "../shared/ipsum/index.js";
+
+const SAMPLE = `---
+title: Front matter
+---
+
+# Main Title
+
+Some *em*, **strong**, ~~struck~~ and \`code\` with a [link](https://example.com).[^1]
+
+## Lists
+
+- [ ] open task
+- [x] done task
+
+1. first
+2. second
+   - nested
+
+> [!WARNING]
+> Careful now.
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+| Name | Value |
+| --- | ---: |
+| a | 1 |
+
+Term
+: Definition
+
+![Alt text](https://example.com/a.png)
+
+[^1]: The note.
+`;
+
+// Lines each format must contain, in this order
+const EXPECTED = {
+  txt: [
+    "Main Title\n==========",
+    "Some em, strong, struck and code with a link [https://example.com].[1]",
+    "Lists\n-----",
+    "- [ ] open task\n- [x] done task",
+    "1. first\n2. second\n   - nested",
+    "Warning:\n    Careful now.",
+    "    const a = 1;",
+    "Name  Value\n----  -----\na         1",
+    "Term\n    Definition",
+    "Alt text [https://example.com/a.png]",
+    "[1] The note.",
+  ],
+  rst: [
+    "Main Title\n==========",
+    "Some *em*, **strong**, struck and ``code`` with a `link <https://example.com>`__.\\ [1]_",
+    ".. warning::\n\n   Careful now.",
+    ".. code-block:: js\n\n   const a = 1;",
+    ".. list-table::\n   :header-rows: 1",
+    "Term\n   Definition",
+    ".. image:: https://example.com/a.png\n   :alt: Alt text",
+    ".. [1] The note.",
+  ],
+  adoc: [
+    "[#main-title]\n= Main Title",
+    "Some __em__, **strong**, [.line-through]##struck## and ``+code+`` with a link:https://example.com[link].footnote:[The note.]",
+    "* [ ] open task\n* [x] done task",
+    ". first\n. second\n** nested",
+    "[WARNING]\n====\nCareful now.\n====",
+    "[source,js]\n----\nconst a = 1;\n----",
+    '[cols="1,>",options="header"]\n|===\n| Name | Value\n\n| a | 1\n|===',
+    "Term::\nDefinition",
+    "image::https://example.com/a.png[Alt text]",
+  ],
+  org: [
+    "* Main Title",
+    "Some /em/, *strong*, +struck+ and ~code~ with a [[https://example.com][link]].[fn:1]",
+    "** Lists",
+    "- [ ] open task\n- [X] done task",
+    "#+BEGIN_WARNING\nCareful now.\n#+END_WARNING",
+    "#+BEGIN_SRC js\nconst a = 1;\n#+END_SRC",
+    "| Name | Value |\n|---+---|\n| a | 1 |",
+    "- Term :: Definition",
+    "[fn:1] The note.",
+  ],
+  tex: [
+    "\\documentclass{article}",
+    "\\begin{document}",
+    "\\section{Main Title}\\label{main-title}",
+    "Some \\emph{em}, \\textbf{strong}, \\sout{struck} and \\texttt{code} with a \\href{https://example.com}{link}.\\footnote{The note.}",
+    "\\subsection{Lists}\\label{lists}",
+    "  \\item[$\\square$] open task\n  \\item[$\\boxtimes$] done task",
+    "\\textbf{Warning.} Careful now.",
+    "\\begin{verbatim}\nconst a = 1;\n\\end{verbatim}",
+    "\\begin{tabular}{lr}\nName & Value \\\\\n\\hline\na & 1 \\\\",
+    "  \\item[Term] Definition",
+    "\\href{https://example.com/a.png}{Alt text}",
+    "\\end{document}",
+  ],
+  bbcode: [
+    "[size=200][b]Main Title[/b][/size]",
+    "Some [i]em[/i], [b]strong[/b], [s]struck[/s] and [font=monospace]code[/font] with a [url=https://example.com]link[/url].[1]",
+    "[list]\n[*]☐ open task\n[*]☑ done task\n[/list]",
+    "[list=1]\n[*]first\n[*]second\n[list]\n[*]nested\n[/list]\n[/list]",
+    "[quote][b]Warning[/b]\nCareful now.[/quote]",
+    "[code]const a = 1;[/code]",
+    "[tr][th]Name[/th][th]Value[/th][/tr]\n[tr][td]a[/td][td]1[/td][/tr]",
+    "[img]https://example.com/a.png[/img]",
+    "[1] The note.",
+  ],
+};
+
+test("every export format is covered", () => {
+  assert.deepEqual(Object.keys(EXPECTED).sort(), Object.keys(EXPORT_FORMATS).sort());
+});
+
+for (const [format, lines] of Object.entries(EXPECTED)) {
+  test(`${EXPORT_FORMATS[format].label} renders each construct and drops the front matter`, () => {
+    const output = exportMarkdown(SAMPLE, format);
+    let from = 0;
+    for (const line of lines) {
+      const at = output.indexOf(line, from);
+      assert.ok(at >= 0, `${format} is missing, or has out of order:\n${line}`);
+      from = at + line.length;
+    }
+    assert.doesNotMatch(output, /Front matter/);
+  });
+}
+
+test("AsciiDoc gives nested quotes longer delimiters", () => {
+  const markdown = "> outer\n>\n> > inner\n> >\n> > > deepest\n>\n> after\n\ntail\n";
+  assert.equal(
+    exportMarkdown(markdown, "adoc"),
+    [
+      "____",
+      "outer",
+      "",
+      "_____",
+      "inner",
+      "",
+      "______",
+      "deepest",
+      "______",
+      "_____",
+      "",
+      "after",
+      "____",
+      "",
+      "tail",
+      "",
+    ].join("\n")
+  );
+});
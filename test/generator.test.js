@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generate,
+  normalizeOptions,
+  countCharacters,
+  DEFAULT_OPTIONS,
+  LENGTH_LIMITS,
+  WORDS_PER_MINUTE,
+} from "../shared/ipsum/index.js";
+
+test("a character target the vocabulary cannot hit stops at the closest total under it", () => {
+  // Every word costs four characters, so no text is exactly 17 long
+  const { blocks, length } = generate({
+    vocabulary: "custom",
+    customWords: "foo bar baz",
+    lengthUnit: "characters",
+    lengthTarget: 17,
+    seed: "1",
+  });
+  const characters = blocks.reduce((sum, block) => sum + countCharacters(block.text), 0);
+  assert.equal(characters, 16);
+  assert.deepEqual(length, { unit: "characters", requested: 17, achieved: 16 });
+});
+
+test("front matter fields mapped to the same key are written once", () => {
+  const { options, blocks } = generate({
+    frontMatter: "yaml",
+    frontMatterKeys: { title: "name", author: "name" },
+    seed: "1",
+  });
+  assert.equal(options.frontMatterKeys.title, "name");
+  assert.equal(options.frontMatterKeys.author, "");
+  const frontMatter = blocks[0].markdown;
+  assert.equal(frontMatter.match(/^name:/gm).length, 1);
+  assert.equal(blocks[0].data.name, blocks.find((block) => block.type === "heading").text);
+});
+
+test("small targets count the classic opening sentence toward every unit", () => {
+  const count = {
+    words: (text) => text.split(/\s+/).filter(Boolean).length,
+    minutes: (text) => text.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE,
+    sentences: (text) => text.split(/\.(?:\s|$)/).filter((sentence) => sentence.trim()).length,
+    paragraphs: (text) => text.split("\n\n").length,
+    characters: (text) => countCharacters(text.replace(/\n\n/g, "")),
+  };
+  for (const unit of Object.keys(count)) {
+    for (const target of [1, 2, 3]) {
+      const { blocks, length } = generate({
+        vocabulary: "classic",
+        lengthUnit: unit,
+        lengthTarget: target,
+        seed: "1",
+      });
+      const text = blocks.map((block) => block.text).join("\n\n");
+      // "Ut." is the shortest sentence the classic words can make
+      const expected = unit === "characters" ? Math.max(3, target) : target;
+      assert.equal(count[unit](text), expected, `${target} ${unit}`);
+      assert.equal(length.achieved, expected, `${target} ${unit}`);
+    }
+  }
+});
+
+test("the table of contents heading stays within the heading levels asked for", () => {
+  for (const [headingMinLevel, headingMaxLevel, expected] of [[2, 2, 2], [1, 3, 2], [6, 6, 6]]) {
+    const { blocks } = generate({ tableOfContents: true, headingMinLevel, headingMaxLevel, seed: "1" });
+    const contents = blocks.find((block) => block.type === "heading" && block.text === "Contents");
+    assert.equal(contents.level, expected);
+    for (const heading of blocks.filter((block) => block.type === "heading")) {
+      assert.ok(heading.level >= headingMinLevel && heading.level <= headingMaxLevel);
+    }
+  }
+});
+
+test("missing options take their defaults", () => {
+  assert.deepEqual(normalizeOptions(), DEFAULT_OPTIONS);
+  assert.deepEqual(normalizeOptions({ numBlocks: 4 }), { ...DEFAULT_OPTIONS, numBlocks: 4 });
+});
+
+test("numbers are coerced and clamped to their ranges", () => {
+  const options = normalizeOptions({
+    numBlocks: 999,
+    tableRows: "5",
+    tableColumns: 1,
+    listMaxDepth: "deep",
+    codeMinLines: 8.7,
+    codeMaxLines: 2,
+    headingMinLevel: 4,
+    headingMaxLevel: 1,
+  });
+  assert.equal(options.numBlocks, 10);
+  assert.equal(options.tableRows, 5);
+  assert.equal(options.tableColumns, 2);
+  assert.equal(options.listMaxDepth, DEFAULT_OPTIONS.listMaxDepth);
+  assert.equal(options.codeMinLines, 8);
+  assert.equal(options.codeMaxLines, 8);
+  assert.equal(options.headingMinLevel, 4);
+  assert.equal(options.headingMaxLevel, 4);
+});
+
+test("length targets are rounded and capped for their unit", () => {
+  assert.equal(normalizeOptions({ lengthUnit: "minutes", lengthTarget: 1.26 }).lengthTarget, 1.3);
+  assert.equal(normalizeOptions({ lengthUnit: "minutes", lengthTarget: 0.01 }).lengthTarget, 0.1);
+  assert.equal(normalizeOptions({ lengthUnit: "words", lengthTarget: 12.6 }).lengthTarget, 13);
+  assert.equal(
+    normalizeOptions({ lengthUnit: "paragraphs", lengthTarget: 1e9 }).lengthTarget,
+    LENGTH_LIMITS.paragraphs
+  );
+  assert.equal(normalizeOptions({ lengthTarget: -5 }).lengthTarget, DEFAULT_OPTIONS.lengthTarget);
+  assert.equal(normalizeOptions({ lengthUnit: "pages" }).lengthUnit, DEFAULT_OPTIONS.lengthUnit);
+});
+
+test("unknown choices fall back to the default", () => {
+  const options = normalizeOptions({
+    listType: "numbered",
+    bulletStyle: "•",
+    frontMatter: "xml",
+    placement: "scattered",
+    vocabulary: "toString",
+    script: "runic",
+  });
+  for (const key of ["listType", "bulletStyle", "frontMatter", "placement", "vocabulary", "script"]) {
+    assert.equal(options[key], DEFAULT_OPTIONS[key], key);
+  }
+});
+
+test("lists and field maps are read from the CLI and query forms", () => {
+  const options = normalizeOptions({
+    codeLanguages: "rust, cobol,go",
+    frequencies: "code=50,tables=500,links=",
+    frontMatterKeys: "date=published",
+    seed: "  abc  ",
+  });
+  assert.deepEqual([...options.codeLanguages].sort(), ["go", "rust"]);
+  assert.deepEqual(options.frequencies, {
+    ...DEFAULT_OPTIONS.frequencies,
+    code: 50,
+    tables: 100,
+  });
+  assert.deepEqual(options.frontMatterKeys, { ...DEFAULT_OPTIONS.frontMatterKeys, date: "published" });
+  assert.equal(options.seed, "abc");
+});
+
+test("the markdown is the blocks in order", () => {
+  const { markdown, blocks, options, length } = generate({ numBlocks: 6, seed: "1" });
+  assert.equal(markdown, blocks.map((block) => block.markdown).join(""));
+  assert.equal(options.numBlocks, 6);
+  assert.deepEqual(length, { unit: "blocks", requested: 6, achieved: 6 });
+});
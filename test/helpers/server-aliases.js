@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Module resolution hooks for tests that import server routes
+ * directly: maps the `#shared` alias Nuxt gives them to the shared directory.
+ * Register with `module.register()` before importing the route.
+ */
+
+const SHARED = new URL("../../shared/", import.meta.url);
+
+export const resolve = (specifier, context, nextResolve) => {
+  if (!specifier.startsWith("#shared/")) return nextResolve(specifier, context);
+  const target = new URL(specifier.slice("#shared/".length), SHARED);
+  // A directory import resolves to its index, as in the Nuxt build
+  if (!/\.[cm]?js$/.test(target.pathname)) target.pathname += "/index.js";
+  return nextResolve(target.href, context);
+};
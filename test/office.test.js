@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { unzipSync, strFromU8 } from "fflate";
+import { OFFICE_FORMATS } from "../shared/ipsum/index.js";
+import { exportOfficeDocument } from "../shared/ipsum/office.js";
+
+const SAMPLE = `---
+title: Front matter
+---
+
+# Main Title
+
+Some *em*, **strong**, ~~struck~~ and a [link](https://example.com).[^1] 1 < 2 & 3
+
+1. first
+   - nested
+
+> [!WARNING]
+> Careful now.
+
+| Name | Value |
+| --- | ---: |
+| a | 1 |
+
+[^1]: The note.
+`;
+
+const unzip = (format) =>
+  Object.fromEntries(
+    Object.entries(unzipSync(exportOfficeDocument(SAMPLE, format))).map(([name, data]) => [
+      name,
+      strFromU8(data),
+    ])
+  );
+
+test("every office format renders", () => {
+  for (const format of Object.keys(OFFICE_FORMATS)) {
+    assert.ok(exportOfficeDocument(SAMPLE, format) instanceof Uint8Array, format);
+  }
+});
+
+test("Word documents use the built-in styles, footnotes and external links", () => {
+  const files = unzip("docx");
+  assert.deepEqual(Object.keys(files).sort(), [
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "word/_rels/document.xml.rels",
+    "word/_rels/footnotes.xml.rels",
+    "word/document.xml",
+    "word/footnotes.xml",
+    "word/numbering.xml",
+    "word/settings.xml",
+    "word/styles.xml",
+  ]);
+  const document = files["word/document.xml"];
+  assert.match(document, /<w:pStyle w:val="Heading1"\/>.*Main Title/);
+  assert.match(document, /<w:rPr><w:i\/><\/w:rPr><w:t xml:space="preserve">em</);
+  assert.match(document, /<w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve">strong</);
+  assert.match(document, /<w:rPr><w:strike\/><\/w:rPr><w:t xml:space="preserve">struck</);
+  assert.match(document, /<w:numPr><w:ilvl w:val="1"\/>.*nested/);
+  assert.match(document, /<w:pStyle w:val="Quote"\/><\/w:pPr><w:r><w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve">Warning</);
+  assert.match(document, /<w:tbl>.*Name.*Value.*<\/w:tbl>/);
+  assert.match(document, /1 &lt; 2 &amp; 3/);
+  assert.doesNotMatch(document, /Front matter/);
+
+  const [, id] = document.match(/<w:hyperlink r:id="(rId\d+)">/);
+  assert.match(
+    files["word/_rels/document.xml.rels"],
+    new RegExp(`Id="${id}"[^>]*Target="https://example.com" TargetMode="External"`)
+  );
+  assert.match(document, /<w:footnoteReference w:id="1"\/>/);
+  assert.match(files["word/footnotes.xml"], /<w:footnote w:id="1">.*The note\./);
+});
+
+test("OpenDocument files start with the stored mimetype and use the built-in styles", () => {
+  const bytes = exportOfficeDocument(SAMPLE, "odt");
+  // First local file header: compression method 0 (stored), then the "mimetype" name
+  assert.equal(bytes[8] | (bytes[9] << 8), 0);
+  assert.equal(strFromU8(bytes.subarray(30, 38)), "mimetype");
+
+  const files = unzip("odt");
+  assert.equal(files.mimetype, OFFICE_FORMATS.odt.mimeType);
+  assert.match(files["META-INF/manifest.xml"], /manifest:full-path="content.xml"/);
+  const content = files["content.xml"];
+  assert.match(content, /<text:h text:style-name="Heading_20_1" text:outline-level="1">.*Main Title<\/text:h>/);
+  assert.match(content, /<text:span text:style-name="Emphasis">em<\/text:span>/);
+  assert.match(content, /<text:a [^>]*xlink:href="https:\/\/example.com"[^>]*>link<\/text:a>/);
+  assert.match(content, /<text:note [^>]*text:note-class="footnote">.*The note\./);
+  assert.match(content, /<text:list-item><text:p [^>]*>first<\/text:p><text:list>/);
+  assert.match(content, /<text:span text:style-name="Strong_20_Emphasis">Warning<\/text:span>/);
+  assert.match(content, /<table:table-header-rows>.*Name.*<\/table:table-header-rows>/);
+  assert.match(content, /1 &lt; 2 &amp; 3/);
+  assert.doesNotMatch(content, /Front matter/);
+});
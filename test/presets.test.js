@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_OPTIONS,
+  parsePresetFile,
+  serializePresets,
+  validatePreset,
+} from "../shared/ipsum/index.js";
+
+const errorsOf = (options) => {
+  try {
+    validatePreset({ name: "Broken", options });
+  } catch (error) {
+    return error.message.replace('Preset "Broken": ', "").split("; ");
+  }
+  return [];
+};
+
+test("valid presets come back normalized", () => {
+  const preset = validatePreset({ name: "  Docs ", options: { numBlocks: 4, listType: "task" } });
+  assert.equal(preset.name, "Docs");
+  assert.deepEqual(preset.options, { ...DEFAULT_OPTIONS, numBlocks: 4, listType: "task" });
+});
+
+test("presets need a name and an options object", () => {
+  assert.throws(() => validatePreset(null), /must be an object/);
+  assert.throws(() => validatePreset({ name: " ", options: {} }), /non-empty name/);
+  assert.deepEqual(errorsOf([]), ["options must be an object"]);
+});
+
+test("unknown options and wrong types are reported", () => {
+  assert.deepEqual(errorsOf({ numBlock: 3, seed: 4, codeLanguages: [1], frequencies: { gif: 1 } }), [
+    'unknown option "numBlock"',
+    '"seed" must be a string, got number',
+    '"codeLanguages" must list strings',
+    'unknown field "frequencies.gif"',
+  ]);
+});
+
+test("values outside the accepted choices are reported", () => {
+  assert.deepEqual(
+    errorsOf({
+      listType: "numbered",
+      vocabulary: "klingon",
+      script: "runic",
+      frontMatter: "xml",
+      placement: "scattered",
+      lengthUnit: "pages",
+    }).map((error) => error.split(" must")[0]),
+    ['"listType"', '"vocabulary"', '"script"', '"frontMatter"', '"placement"', '"lengthUnit"']
+  );
+  assert.deepEqual(errorsOf({ bulletStyle: "•" }), ['"bulletStyle" must be one of *, -, +, got "•"']);
+});
+
+test("every out-of-range number is reported", () => {
+  assert.deepEqual(errorsOf({ numBlocks: 999, tableColumns: 50, tableRows: 2.5 }), [
+    '"numBlocks" must be a whole number from 1 to 10, got 999',
+    '"tableColumns" must be a whole number from 2 to 8, got 50',
+    '"tableRows" must be a whole number from 1 to 20, got 2.5',
+  ]);
+  assert.deepEqual(errorsOf({ codeMinLines: 12, codeMaxLines: 6, headingMaxLevel: 1, headingMinLevel: 3 }), [
+    '"codeMaxLines" (6) must not be below "codeMinLines" (12)',
+    '"headingMaxLevel" (1) must not be below "headingMinLevel" (3)',
+  ]);
+  assert.deepEqual(errorsOf({ frequencies: { tables: 150, code: -1 } }), [
+    '"frequencies.tables" must be from 0 to 100, got 150',
+    '"frequencies.code" must be from 0 to 100, got -1',
+  ]);
+});
+
+test("length targets are checked against the preset's unit", () => {
+  assert.deepEqual(errorsOf({ lengthUnit: "paragraphs", lengthTarget: 600 }), [
+    '"lengthTarget" must be at most 500 paragraphs, got 600',
+  ]);
+  assert.deepEqual(errorsOf({ lengthUnit: "words", lengthTarget: 600 }), []);
+  assert.deepEqual(errorsOf({ lengthTarget: 0 }), ['"lengthTarget" must be above 0, got 0']);
+});
+
+test("unknown code languages and reused front matter keys are reported", () => {
+  assert.deepEqual(errorsOf({ codeLanguages: ["javascript", "cobol"] }), [
+    'unknown code language "cobol"',
+  ]);
+  assert.deepEqual(errorsOf({ frontMatterKeys: { description: "title", tags: "title" } }), [
+    '"frontMatterKeys.description" reuses the key "title" of "title"',
+    '"frontMatterKeys.tags" reuses the key "title" of "title"',
+  ]);
+});
+
+test("preset files round-trip and reject foreign or newer files", () => {
+  const presets = [validatePreset({ name: "Short", options: { numBlocks: 2 } })];
+  assert.deepEqual(parsePresetFile(serializePresets(presets)), presets);
+  assert.throws(() => parsePresetFile("{"), /not valid JSON/);
+  assert.throws(() => parsePresetFile('{"format":"other"}'), /not an Ipsumify preset file/);
+  assert.throws(
+    () => parsePresetFile('{"format":"ipsumify-presets","version":99,"presets":[]}'),
+    /Unsupported preset file version 99/
+  );
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generate,
+  normalizeOptions,
+  optionsToQuery,
+  optionsFromQuery,
+  DEFAULT_OPTIONS,
+} from "../shared/ipsum/index.js";
+
+const CUSTOMIZED = normalizeOptions({
+  noHeaders: true,
+  codeBlocks: true,
+  codeLanguages: ["go", "rust"],
+  codeMaxLines: 20,
+  listType: "task",
+  bulletStyle: "-",
+  frequencies: { tables: 80, footnotes: 0 },
+  frontMatter: "toml",
+  frontMatterKeys: { date: "published" },
+  vocabulary: "custom",
+  customWords: "alpha beta gamma",
+  lengthUnit: "minutes",
+  lengthTarget: 1.5,
+  seed: "ticket-123",
+});
+
+test("default options make an empty query", () => {
+  assert.deepEqual(optionsToQuery(DEFAULT_OPTIONS), {});
+  assert.deepEqual(optionsFromQuery({}), {});
+});
+
+test("only changed options and fields are written, as strings", () => {
+  assert.deepEqual(optionsToQuery(CUSTOMIZED), {
+    noHeaders: "1",
+    codeBlocks: "1",
+    codeLanguages: "go,rust",
+    codeMaxLines: "20",
+    listType: "task",
+    bulletStyle: "-",
+    frequencies: "tables=80,footnotes=0",
+    frontMatter: "toml",
+    frontMatterKeys: "date=published",
+    vocabulary: "custom",
+    customWords: "alpha beta gamma",
+    lengthUnit: "minutes",
+    lengthTarget: "1.5",
+    seed: "ticket-123",
+  });
+});
+
+test("a query round-trips to the same options and the same document", () => {
+  const query = new URLSearchParams(optionsToQuery(CUSTOMIZED));
+  const restored = normalizeOptions(optionsFromQuery(Object.fromEntries(query)));
+  assert.deepEqual(restored, CUSTOMIZED);
+  assert.equal(generate(restored).markdown, generate(CUSTOMIZED).markdown);
+});
+
+test("custom words are left out unless the custom vocabulary uses them", () => {
+  assert.deepEqual(optionsToQuery({ ...DEFAULT_OPTIONS, customWords: "alpha beta" }), {});
+});
+
+test("booleans read loosely and repeated parameters add up only for lists", () => {
+  assert.deepEqual(
+    optionsFromQuery({
+      tables: "true",
+      noLists: "off",
+      footnotes: "",
+      codeLanguages: ["go", "rust"],
+      seed: ["a", "b"],
+      unknown: "x",
+    }),
+    { tables: true, noLists: false, footnotes: true, codeLanguages: "go,rust", seed: "a" }
+  );
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate, createRandom, seedToNumber, newSeed } from "../shared/ipsum/index.js";
+
+const RICH = {
+  numBlocks: 10,
+  codeBlocks: true,
+  tables: true,
+  images: true,
+  footnotes: true,
+  definitionLists: true,
+  placement: "random",
+  listType: "mixed",
+};
+
+test("a seed always gives the same sequence of numbers in [0, 1)", () => {
+  const draw = (random) => Array.from({ length: 100 }, random);
+  const first = draw(createRandom(42));
+  assert.deepEqual(draw(createRandom(42)), first);
+  assert.notDeepEqual(draw(createRandom(43)), first);
+  assert.ok(first.every((value) => value >= 0 && value < 1));
+});
+
+test("numeric seeds are used as-is and any other text is hashed", () => {
+  assert.equal(seedToNumber("12345"), 12345);
+  assert.equal(seedToNumber(" 12345 "), 12345);
+  assert.equal(seedToNumber("ticket-123"), seedToNumber("ticket-123"));
+  assert.notEqual(seedToNumber("ticket-123"), seedToNumber("ticket-124"));
+  assert.ok(seedToNumber("ticket-123") >= 0 && seedToNumber("ticket-123") < 2 ** 32);
+  assert.match(newSeed(), /^\d+$/);
+});
+
+test("the same seed and options give byte-identical markdown", () => {
+  const first = generate({ ...RICH, seed: "fixture" });
+  assert.equal(first.seed, "fixture");
+  assert.equal(generate({ ...RICH, seed: "fixture" }).markdown, first.markdown);
+  assert.notEqual(generate({ ...RICH, seed: "other" }).markdown, first.markdown);
+});
+
+test("an unseeded run reports the seed that replays it", () => {
+  const first = generate(RICH);
+  assert.match(first.seed, /^\d+$/);
+  assert.equal(first.options.seed, first.seed);
+  assert.equal(generate(first.options).markdown, first.markdown);
+});
+
+test("front matter is added without changing the body", () => {
+  const body = generate({ ...RICH, seed: "7" }).markdown;
+  const withFrontMatter = generate({ ...RICH, seed: "7", frontMatter: "yaml" }).markdown;
+  assert.ok(withFrontMatter.startsWith("---\n"));
+  assert.ok(withFrontMatter.endsWith(body));
+});